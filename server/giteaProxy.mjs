@@ -0,0 +1,636 @@
+/**
+ * Gitea Proxy
+ * Forwards the drive's Gitea calls with the server-side token after checking who is asking:
+ * - signed-in users send their Supabase access token and get their workspace_access rights (view or edit)
+ * - shared links send "share:<share_token>" and can only read inside the shared folder
+ * With GITEA_WEBHOOK_SECRET set it also relays Gitea's push webhooks to signed-in users as server-sent events
+ *
+ * Start with `npm run proxy`, the environment variables are described in GITEA_PROXY.md
+ */
+
+import http from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { Readable, pipeline } from 'node:stream';
+import { createClient } from '@supabase/supabase-js';
+
+// Defaults for workspaces without git_owner / git_default_branch
+const GITEA_OWNER = process.env.GITEA_OWNER || 'associateattorney';
+const GITEA_DEFAULT_BRANCH = process.env.GITEA_DEFAULT_BRANCH || 'main';
+
+const PORT = Number(process.env.GITEA_PROXY_PORT || 3001);
+const GITEA_HOST = process.env.GITEA_HOST;
+const GITEA_TOKEN = process.env.GITEA_TOKEN;
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const ALLOWED_ORIGINS = (process.env.GITEA_PROXY_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const MAX_BODY_BYTES = Number(process.env.GITEA_PROXY_MAX_BODY_MB || 200) * 1024 * 1024;
+// LFS objects are streamed to Gitea rather than buffered, so they get their own limit
+const MAX_LFS_BYTES = Number(process.env.GITEA_PROXY_MAX_LFS_MB || 4096) * 1024 * 1024;
+const WEBHOOK_SECRET = process.env.GITEA_WEBHOOK_SECRET;
+// Open event streams get a comment this often so idle connections aren't closed on the way
+const EVENT_KEEPALIVE = 25 * 1000;
+
+// Share and permission lookups are reused for a minute, so revoking access takes up to a minute
+const LOOKUP_TTL = 60 * 1000;
+const MAX_LOOKUPS = 5000;
+
+// Repository endpoints the drive uses, everything else (settings, hooks, collaborators...) is refused
+const READ_SECTIONS = new Set(['', 'contents', 'media', 'commits', 'git', 'branches', 'tags', 'compare', 'pulls']);
+const WRITE_SECTIONS = new Set(['contents', 'branches', 'tags', 'pulls']);
+
+// Response headers the client reads
+const FORWARDED_HEADERS = ['content-type', 'content-disposition', 'etag', 'last-modified', 'link', 'x-hasmore', 'x-total-count'];
+
+for (const [name, value] of Object.entries({ GITEA_HOST, GITEA_TOKEN, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY })) {
+  if (!value) {
+    console.error(`❌ ${name} is not set`);
+    process.exit(1);
+  }
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+  }
+}
+
+const lookups = new Map();
+// "<owner>/<repo>" -> responses of the open event streams
+const eventStreams = new Map();
+
+async function cachedLookup(key, load) {
+  const hit = lookups.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.value;
+  }
+
+  const value = await load();
+
+  if (lookups.size >= MAX_LOOKUPS) {
+    const now = Date.now();
+    for (const [entryKey, entry] of lookups) {
+      if (entry.expiresAt <= now) lookups.delete(entryKey);
+    }
+    if (lookups.size >= MAX_LOOKUPS) lookups.clear();
+  }
+  lookups.set(key, { value, expiresAt: Date.now() + LOOKUP_TTL });
+
+  return value;
+}
+
+/**
+ * Normalize a repository path, refusing anything that could climb out of a folder
+ */
+function toRepoPath(path = '') {
+  const parts = path.split('/').filter(part => part !== '');
+  if (parts.some(part => part === '.' || part === '..')) {
+    throw new ProxyError(400, 'Invalid path');
+  }
+  return parts.join('/');
+}
+
+function isInsideFolder(path, folderPath) {
+  return !folderPath || path === folderPath || path.startsWith(`${folderPath}/`);
+}
+
+/**
+ * Split a request path into the repository and the part of it being accessed
+ * Handles /api/v1/repos/<owner>/<repo>/<section>/..., /<owner>/<repo>/raw|media/...
+ * the LFS API at /<owner>/<repo>.git/info/lfs/objects/... and .../info/lfs/verify, repository creation at /api/v1/orgs/<owner>/repos
+ * and the push event stream at /events/<owner>/<repo>
+ */
+function parseTarget(url) {
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  } catch (error) {
+    throw new ProxyError(400, 'Invalid path');
+  }
+
+  if (segments[0] === 'events' && segments.length === 3) {
+    return { kind: 'events', owner: segments[1], repo: segments[2], section: 'events', rest: [] };
+  }
+
+  if (segments[0] === 'api' && segments[1] === 'v1' && segments[2] === 'orgs' && segments[4] === 'repos' && segments.length === 5) {
+    return { kind: 'create-repo', owner: segments[3], section: 'repos', rest: [] };
+  }
+
+  if (segments[0] === 'api' && segments[1] === 'v1' && segments[2] === 'repos') {
+    const [owner, repo, section = '', ...rest] = segments.slice(3);
+    if (!owner || !repo) return null;
+    return { kind: 'api', owner, repo, section, rest };
+  }
+
+  const [owner, repo, section, ...rest] = segments;
+  if (owner && repo && (section === 'raw' || section === 'media')) {
+    return { kind: 'raw', owner, repo, section, rest };
+  }
+  if (owner && repo?.endsWith('.git') && section === 'info' && rest[0] === 'lfs') {
+    // rest is ['batch'], [oid, size] for uploads or ['verify'], which Gitea serves next to objects/
+    if (rest[1] === 'objects') {
+      return { kind: 'lfs', owner, repo: repo.slice(0, -'.git'.length), section: 'lfs', rest: rest.slice(2) };
+    }
+    if (rest[1] === 'verify' && rest.length === 2) {
+      return { kind: 'lfs', owner, repo: repo.slice(0, -'.git'.length), section: 'lfs', rest: ['verify'] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Work out who is calling from the Authorization header ("token <credential>" or "Bearer <credential>")
+ */
+async function identify(req) {
+  const [scheme, credential] = (req.headers.authorization || '').split(' ');
+  if (!credential || !/^(token|bearer)$/i.test(scheme)) {
+    throw new ProxyError(401, 'Sign in to access files');
+  }
+
+  if (credential.startsWith('share:')) {
+    const shareToken = credential.substring('share:'.length);
+    const share = await cachedLookup(`share:${shareToken}`, async () => {
+      const { data, error } = await supabase
+        .from('folder_shares')
+        .select('workspace_id, folder_path, expires_at, workspaces ( git_repo, git_owner, git_default_branch )')
+        .eq('share_token', shareToken)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    });
+
+    if (!share) {
+      throw new ProxyError(401, 'This share link does not exist or has been removed');
+    }
+    if (share.expires_at && new Date(share.expires_at) < new Date()) {
+      throw new ProxyError(401, 'This share link has expired');
+    }
+
+    return {
+      type: 'share',
+      repo: share.workspaces?.git_repo,
+      owner: share.workspaces?.git_owner || GITEA_OWNER,
+      defaultBranch: share.workspaces?.git_default_branch || GITEA_DEFAULT_BRANCH,
+      folderPath: toRepoPath(share.folder_path || '')
+    };
+  }
+
+  const user = await cachedLookup(`user:${credential}`, async () => {
+    const { data, error } = await supabase.auth.getUser(credential);
+    return error ? null : data.user;
+  });
+
+  if (!user) {
+    throw new ProxyError(401, 'Your session has expired, please sign in again');
+  }
+
+  return { type: 'user', user };
+}
+
+/**
+ * Access a user has to the workspace stored in owner/repoName
+ * Returns { accessType: 'edit' | 'view', defaultBranch } or null
+ */
+function getWorkspaceAccess(userId, owner, repoName) {
+  return cachedLookup(`access:${userId}:${owner}/${repoName}`, async () => {
+    const { data, error } = await supabase
+      .from('workspace_access')
+      .select('access_type, workspaces!inner ( git_repo, git_owner, git_default_branch )')
+      .eq('shared_with_user_id', userId)
+      .eq('workspaces.git_repo', repoName);
+
+    if (error) throw error;
+
+    // Repository names are only unique per owner
+    const rows = (data || []).filter(item => (item.workspaces.git_owner || GITEA_OWNER) === owner);
+    const row = rows.find(item => item.access_type === 'edit') || rows.find(item => item.access_type === 'view');
+    if (!row) return null;
+
+    return {
+      accessType: row.access_type,
+      defaultBranch: row.workspaces.git_default_branch || GITEA_DEFAULT_BRANCH
+    };
+  });
+}
+
+/**
+ * Repositories are only created by the setup wizard, for a workspace the user can edit that has none yet
+ * The workspace comes from the X-Workspace-Id header
+ */
+async function authorizeRepositoryCreation(user, target, method, workspaceId) {
+  if (method !== 'POST') {
+    throw new ProxyError(405, 'Method not allowed');
+  }
+  if (!workspaceId) {
+    throw new ProxyError(400, 'Missing X-Workspace-Id');
+  }
+
+  const { data, error } = await supabase
+    .from('workspace_access')
+    .select('access_type, workspaces!inner ( id, git_repo, git_owner )')
+    .eq('shared_with_user_id', user.id)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.access_type !== 'edit') {
+    throw new ProxyError(403, 'You need edit access to set up this workspace');
+  }
+  if (data.workspaces.git_repo) {
+    throw new ProxyError(409, 'This workspace already has a repository');
+  }
+  if ((data.workspaces.git_owner || GITEA_OWNER) !== target.owner) {
+    throw new ProxyError(403, 'Repositories for this workspace belong to another organization');
+  }
+}
+
+/**
+ * Workspace repositories are always private, whatever the client asked for
+ */
+function asPrivateRepository(body) {
+  try {
+    return Buffer.from(JSON.stringify({ ...JSON.parse(body.toString('utf8')), private: true }));
+  } catch (error) {
+    throw new ProxyError(400, 'Invalid request body');
+  }
+}
+
+async function authorizeUser(user, target, method) {
+  const access = await getWorkspaceAccess(user.id, target.owner, target.repo);
+  if (!access) {
+    throw new ProxyError(403, 'You do not have access to this workspace');
+  }
+  const { accessType } = access;
+
+  const isRead = method === 'GET' || method === 'HEAD';
+
+  if (target.kind === 'raw' || target.kind === 'events') {
+    if (!isRead) throw new ProxyError(405, 'Method not allowed');
+    return;
+  }
+
+  // The drive only uploads through LFS, content is read through /media/
+  if (target.kind === 'lfs') {
+    if (accessType !== 'edit') {
+      throw new ProxyError(403, 'You have view-only access to this workspace');
+    }
+    return;
+  }
+
+  if (!READ_SECTIONS.has(target.section)) {
+    throw new ProxyError(403, 'This operation is not available');
+  }
+
+  if (!isRead) {
+    if (accessType !== 'edit') {
+      throw new ProxyError(403, 'You have view-only access to this workspace');
+    }
+    if (!WRITE_SECTIONS.has(target.section)) {
+      throw new ProxyError(403, 'This operation is not available');
+    }
+    // The live branch itself is never deleted or recreated
+    if (target.section === 'branches' && target.rest[0] === access.defaultBranch) {
+      throw new ProxyError(403, `The ${access.defaultBranch} branch cannot be changed directly`);
+    }
+  }
+}
+
+/**
+ * Shares may read file contents, raw files and file history inside the shared folder only
+ * Mutates url to strip information about files outside the folder and to read from the live branch
+ */
+async function authorizeShare(share, target, method, url) {
+  if (method !== 'GET' && method !== 'HEAD') {
+    throw new ProxyError(403, 'Shared links are view-only');
+  }
+  if (!share.repo || share.repo !== target.repo || share.owner !== target.owner) {
+    throw new ProxyError(403, 'This share link does not cover this workspace');
+  }
+
+  let path;
+  if (target.kind === 'raw') {
+    const [refKind, ref, ...pathParts] = target.rest;
+    // Live files and their past versions only, drafts aren't part of a share
+    const isLive = refKind === 'branch' && ref === share.defaultBranch;
+    if (!isLive && !(refKind === 'commit' && await isOnBranch(share.owner, share.repo, ref, share.defaultBranch))) {
+      throw new ProxyError(403, 'Shared links can only open the live files');
+    }
+    path = pathParts.join('/');
+  } else if (target.section === 'contents' || target.section === 'media') {
+    pinToLiveBranch(share, url, 'ref');
+    path = target.rest.join('/');
+  } else if (target.section === 'commits' && target.rest.length === 0 && url.searchParams.get('path')) {
+    pinToLiveBranch(share, url, 'sha');
+    path = url.searchParams.get('path');
+    // Commits can touch files elsewhere in the repository, don't list them
+    url.searchParams.set('files', 'false');
+  } else {
+    throw new ProxyError(403, 'Shared links can only open files in the shared folder');
+  }
+
+  if (!isInsideFolder(toRepoPath(path), share.folderPath)) {
+    throw new ProxyError(403, 'This file is outside the shared folder');
+  }
+}
+
+/**
+ * Whether commit sha is in branch's history, i.e. comparing branch...sha finds no commits the branch lacks
+ */
+function isOnBranch(owner, repoName, sha, branch) {
+  if (!/^[0-9a-f]{7,64}$/i.test(sha || '')) {
+    return false;
+  }
+
+  return cachedLookup(`on-branch:${owner}/${repoName}:${branch}:${sha}`, async () => {
+    const response = await fetch(
+      `${GITEA_HOST}/api/v1/repos/${owner}/${repoName}/compare/${encodeURIComponent(branch)}...${sha}`,
+      { headers: { 'Authorization': `token ${GITEA_TOKEN}`, 'Accept': 'application/json' } }
+    );
+    if (response.status === 404) return false;
+    if (!response.ok) throw new ProxyError(502, 'Could not check the file version');
+
+    const compare = await response.json();
+    return compare.total_commits === 0;
+  });
+}
+
+/**
+ * Read a share's API request from the live branch, param is the query parameter naming the ref
+ * Any other ref is refused, draft branches and snapshots aren't part of a share
+ */
+function pinToLiveBranch(share, url, param) {
+  const ref = url.searchParams.get(param);
+  if (ref && ref !== share.defaultBranch) {
+    throw new ProxyError(403, 'Shared links can only open the live files');
+  }
+  url.searchParams.set(param, share.defaultBranch);
+}
+
+/**
+ * Record the verified user as author and committer of a contents write
+ */
+function withVerifiedAuthor(body, user) {
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return body;
+  }
+
+  const metadata = user.user_metadata || {};
+  const identity = {
+    name: metadata.full_name || metadata.name || (user.email || '').split('@')[0] || 'Unknown',
+    email: user.email || ''
+  };
+
+  return Buffer.from(JSON.stringify({ ...payload, author: identity, committer: identity }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ProxyError(413, 'This upload is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || (ALLOWED_ORIGINS.length > 0 && !ALLOWED_ORIGINS.includes(origin))) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Cache-Control, X-Workspace-Id');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'X-HasMore, X-Total-Count, Content-Disposition');
+  res.setHeader('Access-Control-Max-Age', '600');
+}
+
+/**
+ * LFS batch answers carry transfer links with our Gitea token in their headers
+ * Strip the headers and make the links relative so the client sends the transfer back through the proxy
+ */
+function sanitizeLfsBatch(text) {
+  let batch;
+  try {
+    batch = JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+
+  for (const object of batch.objects || []) {
+    for (const action of Object.values(object.actions || {})) {
+      delete action.header;
+      if (action.href) {
+        const href = new URL(action.href);
+        action.href = `${href.pathname}${href.search}`;
+      }
+    }
+  }
+
+  return JSON.stringify(batch);
+}
+
+/**
+ * Keep a response open as an event stream of a repository's pushes
+ */
+function openEventStream(req, res, target) {
+  const key = `${target.owner}/${target.repo}`;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'private, no-store',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENT_KEEPALIVE);
+  if (!eventStreams.has(key)) eventStreams.set(key, new Set());
+  eventStreams.get(key).add(res);
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    eventStreams.get(key)?.delete(res);
+    if (eventStreams.get(key)?.size === 0) eventStreams.delete(key);
+  });
+}
+
+/**
+ * Gitea push webhook, signed with GITEA_WEBHOOK_SECRET
+ * Branch pushes are passed on as { ref, commitSha } to the repository's event streams, the client reads the changes itself
+ */
+async function receiveWebhook(req, res) {
+  if (req.method !== 'POST') {
+    throw new ProxyError(405, 'Method not allowed');
+  }
+
+  const body = await readBody(req);
+  const signature = Buffer.from(String(req.headers['x-gitea-signature'] || ''));
+  const expected = Buffer.from(createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex'));
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    throw new ProxyError(401, 'Invalid webhook signature');
+  }
+
+  let payload = null;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new ProxyError(400, 'Invalid request body');
+  }
+
+  const owner = payload.repository?.owner?.login || payload.repository?.owner?.username;
+  const repo = payload.repository?.name;
+  if (req.headers['x-gitea-event'] === 'push' && owner && repo && payload.ref?.startsWith('refs/heads/')) {
+    const message = `event: push\ndata: ${JSON.stringify({ ref: payload.ref.substring('refs/heads/'.length), commitSha: payload.after })}\n\n`;
+    for (const stream of eventStreams.get(`${owner}/${repo}`) || []) {
+      stream.write(message);
+    }
+  }
+
+  res.writeHead(204);
+  res.end();
+}
+
+async function forward(req, res, url, target, body) {
+  const headers = {
+    'Authorization': `token ${GITEA_TOKEN}`,
+    'Accept': req.headers.accept || 'application/json'
+  };
+  if (req.headers['content-type']) {
+    headers['Content-Type'] = req.headers['content-type'];
+  }
+  if (body instanceof Readable && req.headers['content-length']) {
+    headers['Content-Length'] = req.headers['content-length'];
+  }
+
+  const response = await fetch(`${GITEA_HOST}${url.pathname}${url.search}`, {
+    method: req.method,
+    headers,
+    body: body instanceof Readable ? Readable.toWeb(body) : body,
+    ...(body instanceof Readable ? { duplex: 'half' } : {})
+  });
+
+  const responseHeaders = { 'Cache-Control': 'private, no-store' };
+  for (const name of FORWARDED_HEADERS) {
+    const value = response.headers.get(name);
+    if (value !== null) responseHeaders[name] = value;
+  }
+
+  if (target.kind === 'lfs' && target.rest[0] === 'batch' && response.ok) {
+    res.writeHead(response.status, responseHeaders);
+    res.end(sanitizeLfsBatch(await response.text()));
+    return;
+  }
+
+  res.writeHead(response.status, responseHeaders);
+  if (response.body && req.method !== 'HEAD') {
+    // Gitea or the client can drop the connection mid-download, that ends this response and nothing else
+    pipeline(Readable.fromWeb(response.body), res, (error) => {
+      if (error) {
+        console.warn('⚠️ Gitea proxy response ended early:', req.method, req.url, error.message);
+        res.destroy();
+      }
+    });
+  } else {
+    res.end();
+  }
+}
+
+export const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, 'http://gitea-proxy');
+    if (WEBHOOK_SECRET && url.pathname === '/webhooks/gitea') {
+      await receiveWebhook(req, res);
+      return;
+    }
+
+    const target = parseTarget(url);
+    if (target?.kind === 'events' && !WEBHOOK_SECRET) {
+      throw new ProxyError(404, 'Live updates are not enabled');
+    }
+    if (!target) {
+      throw new ProxyError(404, 'Not found');
+    }
+
+    const caller = await identify(req);
+    if (caller.type === 'share') {
+      await authorizeShare(caller, target, req.method, url);
+    } else if (target.kind === 'create-repo') {
+      await authorizeRepositoryCreation(caller.user, target, req.method, req.headers['x-workspace-id']);
+    } else {
+      await authorizeUser(caller.user, target, req.method);
+    }
+
+    if (target.kind === 'events') {
+      openEventStream(req, res, target);
+      return;
+    }
+
+    let body;
+    if (target.kind === 'lfs' && req.method === 'PUT') {
+      // Object uploads can be gigabytes, pass them straight through
+      if (!req.headers['content-length']) {
+        throw new ProxyError(411, 'Uploads need a Content-Length');
+      }
+      if (Number(req.headers['content-length']) > MAX_LFS_BYTES) {
+        throw new ProxyError(413, 'This upload is too large');
+      }
+      body = req;
+    } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+      body = await readBody(req);
+      if (target.section === 'contents' && body.length > 0) {
+        body = withVerifiedAuthor(body, caller.user);
+      }
+      if (target.kind === 'create-repo') {
+        body = asPrivateRepository(body);
+      }
+    }
+
+    await forward(req, res, url, target, body);
+  } catch (error) {
+    const status = error.status || 502;
+    if (!error.status) {
+      console.error('❌ Gitea proxy request failed:', req.method, req.url, error);
+    }
+    // Part of the body is already out, a JSON error can't follow it
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: error.message }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Gitea proxy listening on port ${PORT}, forwarding to ${GITEA_HOST}`);
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+const PORT = 3917;
+const PROXY = `http://localhost:${PORT}`;
+const GITEA = 'https://gitea.test';
+const OID = 'a'.repeat(64);
+
+// Access token -> [access_type, owner] of the user's workspaces stored in <owner>/repo
+const ACCESS = {
+  editor: [['edit', 'org']],
+  viewer: [['view', 'org']],
+  'two-owners': [['view', 'org'], ['edit', 'other']]
+};
+// Share token -> shared folder of org/repo
+const SHARES = { exhibits: 'Exhibits' };
+
+vi.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({
+    auth: {
+      getUser: async (token) => ACCESS[token]
+        ? { data: { user: { id: token, email: `${token}@example.com` } }, error: null }
+        : { data: { user: null }, error: new Error('invalid token') }
+    },
+    from: () => {
+      let userId = null;
+      let shareToken = null;
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          if (column === 'shared_with_user_id') userId = value;
+          if (column === 'share_token') shareToken = value;
+          return query;
+        },
+        maybeSingle: async () => ({
+          data: SHARES[shareToken]
+            ? { folder_path: SHARES[shareToken], expires_at: null, workspaces: { git_repo: 'repo', git_owner: 'org', git_default_branch: 'main' } }
+            : null,
+          error: null
+        }),
+        then: (resolve) => resolve({
+          data: (ACCESS[userId] || []).map(([access_type, owner]) => ({ access_type, workspaces: { git_repo: 'repo', git_owner: owner } })),
+          error: null
+        })
+      };
+      return query;
+    }
+  })
+}));
+
+const realFetch = globalThis.fetch;
+// Requests the proxy made to Gitea
+const giteaRequests = [];
+
+function giteaResponse(url, init) {
+  const { pathname, search } = new URL(url);
+  giteaRequests.push({ method: init.method, pathname, search, authorization: init.headers.Authorization });
+
+  if (pathname === '/org/repo.git/info/lfs/objects/batch') {
+    return new Response(JSON.stringify({
+      objects: [{
+        oid: OID,
+        size: 5,
+        actions: {
+          upload: { href: `${GITEA}/org/repo.git/info/lfs/objects/${OID}/5`, header: { Authorization: 'token service-token' } },
+          verify: { href: `${GITEA}/org/repo.git/info/lfs/verify`, header: { Authorization: 'token service-token' } }
+        }
+      }]
+    }), { status: 200, headers: { 'content-type': 'application/vnd.git-lfs+json' } });
+  }
+  if (pathname === `/org/repo.git/info/lfs/objects/${OID}/5` || pathname === '/org/repo.git/info/lfs/verify') {
+    return new Response(null, { status: 200 });
+  }
+  if (pathname === '/api/v1/repos/org/repo/media/Exhibits/broken.pdf') {
+    // Gitea drops the connection halfway through the file
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('%PDF-1.7 partial'));
+        setTimeout(() => controller.error(new Error('socket hang up')), 10);
+      }
+    });
+    return new Response(body, { status: 200, headers: { 'content-type': 'application/pdf' } });
+  }
+  if (pathname.startsWith('/api/v1/repos/org/repo/compare/main...')) {
+    // Commits of the live branch start with 1, draft commits with 2
+    const sha = pathname.split('...')[1];
+    return sha.startsWith('1') || sha.startsWith('2')
+      ? new Response(JSON.stringify({ total_commits: sha.startsWith('1') ? 0 : 1 }), { status: 200 })
+      : new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+  }
+  if (pathname === '/api/v1/repos/org/repo/contents/Exhibits/a.pdf' || pathname === '/api/v1/repos/org/repo/commits' || pathname.startsWith('/org/repo/media/')) {
+    return new Response(JSON.stringify({}), { status: 200 });
+  }
+  return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+}
+
+let server;
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    GITEA_HOST: GITEA,
+    GITEA_TOKEN: 'service-token',
+    SUPABASE_URL: 'https://supabase.test',
+    SUPABASE_SERVICE_ROLE_KEY: 'service-role',
+    GITEA_PROXY_PORT: String(PORT)
+  });
+  vi.stubGlobal('fetch', (url, init = {}) => String(url).startsWith(GITEA) ? Promise.resolve(giteaResponse(url, init)) : realFetch(url, init));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+
+  ({ server } = await import('./giteaProxy.mjs'));
+  if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterAll(() => {
+  server?.close();
+  vi.unstubAllGlobals();
+});
+
+function lfsRequest(path, token, init = {}) {
+  return realFetch(`${PROXY}${path}`, {
+    ...init,
+    headers: { 'Authorization': `token ${token}`, 'Content-Type': 'application/vnd.git-lfs+json', ...init.headers }
+  });
+}
+
+describe('LFS uploads', () => {
+  it('passes batch, upload and verify through to Gitea', async () => {
+    const batchResponse = await lfsRequest('/org/repo.git/info/lfs/objects/batch', 'editor', {
+      method: 'POST',
+      body: JSON.stringify({ operation: 'upload', transfers: ['basic'], objects: [{ oid: OID, size: 5 }] })
+    });
+    expect(batchResponse.status).toBe(200);
+
+    const { actions } = (await batchResponse.json()).objects[0];
+    expect(actions.upload).toEqual({ href: `/org/repo.git/info/lfs/objects/${OID}/5` });
+    expect(actions.verify).toEqual({ href: '/org/repo.git/info/lfs/verify' });
+
+    const uploadResponse = await lfsRequest(actions.upload.href, 'editor', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: 'hello'
+    });
+    expect(uploadResponse.status).toBe(200);
+
+    const verifyResponse = await lfsRequest(actions.verify.href, 'editor', {
+      method: 'POST',
+      body: JSON.stringify({ oid: OID, size: 5 })
+    });
+    expect(verifyResponse.status).toBe(200);
+
+    expect(giteaRequests.map(request => `${request.method} ${request.pathname}`)).toEqual([
+      'POST /org/repo.git/info/lfs/objects/batch',
+      `PUT /org/repo.git/info/lfs/objects/${OID}/5`,
+      'POST /org/repo.git/info/lfs/verify'
+    ]);
+    expect(giteaRequests.every(request => request.authorization === 'token service-token')).toBe(true);
+  });
+
+  it('refuses verify to view-only users', async () => {
+    const response = await lfsRequest('/org/repo.git/info/lfs/verify', 'viewer', {
+      method: 'POST',
+      body: JSON.stringify({ oid: OID, size: 5 })
+    });
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('shared links', () => {
+  function shareRequest(path) {
+    return realFetch(`${PROXY}${path}`, { headers: { 'Authorization': 'token share:exhibits' } });
+  }
+
+  it('reads files and their history from the live branch', async () => {
+    giteaRequests.length = 0;
+
+    expect((await shareRequest('/api/v1/repos/org/repo/contents/Exhibits/a.pdf')).status).toBe(200);
+    expect((await shareRequest('/api/v1/repos/org/repo/contents/Exhibits/a.pdf?ref=main')).status).toBe(200);
+    expect((await shareRequest('/api/v1/repos/org/repo/commits?path=Exhibits/a.pdf')).status).toBe(200);
+
+    expect(giteaRequests.map(request => request.search)).toEqual([
+      '?ref=main',
+      '?ref=main',
+      '?path=Exhibits%2Fa.pdf&sha=main&files=false'
+    ]);
+  });
+
+  it('refuses other branches and commits', async () => {
+    expect((await shareRequest('/api/v1/repos/org/repo/contents/Exhibits/a.pdf?ref=draft/maria')).status).toBe(403);
+    expect((await shareRequest('/api/v1/repos/org/repo/media/Exhibits/a.pdf?ref=0123abcd')).status).toBe(403);
+    expect((await shareRequest('/api/v1/repos/org/repo/commits?path=Exhibits/a.pdf&sha=draft/maria')).status).toBe(403);
+    expect((await shareRequest('/api/v1/repos/org/repo/commits/main/status?path=Exhibits/a.pdf')).status).toBe(403);
+  });
+
+  it('opens past versions from the live branch but not draft commits', async () => {
+    expect((await shareRequest('/org/repo/media/commit/1aaaaaa/Exhibits/a.pdf')).status).toBe(200);
+    expect((await shareRequest('/org/repo/media/commit/2bbbbbb/Exhibits/a.pdf')).status).toBe(403);
+    expect((await shareRequest('/org/repo/media/commit/3cccccc/Exhibits/a.pdf')).status).toBe(403);
+    expect((await shareRequest('/org/repo/media/commit/main/Exhibits/a.pdf')).status).toBe(403);
+  });
+});
+
+describe('workspace access', () => {
+  it('tells apart repositories of the same name under different owners', async () => {
+    const request = (path, init = {}) => lfsRequest(path, 'two-owners', init);
+
+    expect((await request('/api/v1/repos/org/repo/contents/Exhibits/a.pdf')).status).toBe(200);
+    expect((await request('/org/repo.git/info/lfs/verify', { method: 'POST', body: '{}' })).status).toBe(403);
+    expect((await request('/api/v1/repos/other/repo/contents/Exhibits/a.pdf')).status).not.toBe(403);
+  });
+});
+
+describe('downloads', () => {
+  it('ends only the response Gitea broke off, the proxy keeps serving', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = await lfsRequest('/api/v1/repos/org/repo/media/Exhibits/broken.pdf', 'viewer');
+    expect(broken.status).toBe(200);
+    await expect(broken.arrayBuffer()).rejects.toThrow();
+
+    const next = await lfsRequest('/api/v1/repos/org/repo/contents/Exhibits/a.pdf', 'viewer');
+    expect(next.status).toBe(200);
+  });
+});
@@ -9,6 +9,7 @@ import router from './router'
 import './style.css'
 
 import { configureSupabase, configureGitHub } from '@aiworkspace/shared-header'
+import { watchSupabaseSession } from './utils/giteaSession'
 
 // Configure Supabase
 configureSupabase({
@@ -16,6 +17,9 @@ configureSupabase({
   anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY
 })
 
+// Gitea requests go through the proxy with the signed-in user's access token
+watchSupabaseSession()
+
 // Configure GitHub
 configureGitHub({
   token: import.meta.env.VITE_GITHUB_TOKEN
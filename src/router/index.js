@@ -3,6 +3,7 @@ import Home from '../views/Home.vue'
 import Files from '../views/Files.vue'
 import AllWorkspaceFiles from '../views/AllWorkspaceFiles.vue'
 import SharedFolder from '../views/SharedFolder.vue'
+import { FILES_ROUTE_NAME, redirectLegacyFilesQuery } from '../utils/filesRoute'
 
 const routes = [
   {
@@ -11,8 +12,9 @@ const routes = [
     component: Home
   },
   {
-    path: '/single-workspace/:workspace_id/files',
-    name: 'Files',
+    // The path is the open folder or file, see utils/filesRoute.js
+    path: '/single-workspace/:workspace_id/files/:path(.*)*',
+    name: FILES_ROUTE_NAME,
     component: Files,
     props: true
   },
@@ -35,4 +37,11 @@ const router = createRouter({
   routes
 })
 
+// Links from before path-based routing used ?folder= and ?file=
+router.beforeEach((to) => {
+  if (to.name === FILES_ROUTE_NAME) {
+    return redirectLegacyFilesQuery(to) || true
+  }
+})
+
 export default router
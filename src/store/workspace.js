@@ -7,8 +7,12 @@ import {
   getCachedUser, 
   setCachedUser,
   clearWorkspaceCache,
-  shouldRefreshWorkspaceCache 
+  shouldRefreshWorkspaceCache,
+  loadWorkspaceCache
 } from '../utils/workspaceCache'
+import { setCommitIdentity } from '../utils/giteaFileOperations'
+import { registerWorkspaceStorage } from '../utils/storageConfig'
+import { broadcast, onBroadcast, toPlainData } from '../utils/tabSync'
 
 export const useWorkspaceStore = defineStore('workspace', () => {
   const currentWorkspace = ref(null)
@@ -16,38 +20,77 @@ export const useWorkspaceStore = defineStore('workspace', () => {
   const user = ref(null)
 
   const setCurrentWorkspace = (workspace) => {
-    // Preserve git_repo if the new workspace doesn't have it but the current one does
-    if (workspace && !workspace.git_repo && currentWorkspace.value?.git_repo) {
+    // Preserve git_repo if the same workspace is set again without it
+    if (workspace && !workspace.git_repo && currentWorkspace.value?.git_repo && workspace.id === currentWorkspace.value.id) {
       console.log('🔄 Preserving git_repo when setting current workspace:', currentWorkspace.value.git_repo)
       workspace = { ...workspace, git_repo: currentWorkspace.value.git_repo }
     }
     
     currentWorkspace.value = workspace
+    registerWorkspaceStorage(workspace)
     localStorage.setItem('current_workspace', JSON.stringify(workspace))
+    broadcast('current-workspace', toPlainData(workspace))
   }
 
   const setWorkspaces = (newWorkspaces) => {
     workspaces.value = newWorkspaces
+    newWorkspaces.forEach(registerWorkspaceStorage)
     localStorage.setItem('available_workspaces', JSON.stringify(newWorkspaces))
+    broadcast('workspaces', toPlainData(newWorkspaces))
+  }
+
+  // Another tab loaded the workspace list, take it without telling the tabs again
+  onBroadcast('workspaces', (newWorkspaces) => {
+    workspaces.value = newWorkspaces
+    newWorkspaces.forEach(registerWorkspaceStorage)
+
+    const updated = currentWorkspace.value && newWorkspaces.find(w => w.id === currentWorkspace.value.id)
+    if (updated) {
+      currentWorkspace.value = { ...updated, git_repo: updated.git_repo || currentWorkspace.value.git_repo }
+    }
+  })
+
+  // Another tab switched workspace, each tab stays on the workspace of its URL
+  // but takes the newer copy when it's the workspace shown here (a repository set up in the other tab)
+  onBroadcast('current-workspace', (workspace) => {
+    if (!workspace || workspace.id !== currentWorkspace.value?.id) return
+    currentWorkspace.value = { ...workspace, git_repo: workspace.git_repo || currentWorkspace.value.git_repo }
+    registerWorkspaceStorage(currentWorkspace.value)
+  })
+
+  // A workspace got its repository from the setup wizard, update every copy we keep
+  const setWorkspaceRepository = (workspaceId, gitRepo) => {
+    const withRepo = (workspace) => workspace.id === workspaceId ? { ...workspace, git_repo: gitRepo } : workspace
+
+    setWorkspaces(workspaces.value.map(withRepo))
+    if (currentWorkspace.value?.id === workspaceId) {
+      setCurrentWorkspace(withRepo(currentWorkspace.value))
+    }
+
+    const cachedWorkspaces = user.value?.id && getCachedWorkspaces(user.value.id)
+    if (cachedWorkspaces) {
+      setCachedWorkspaces(user.value.id, cachedWorkspaces.map(withRepo))
+    }
   }
 
   const setUser = (userData) => {
     user.value = userData
+    setCommitIdentity(userData)
     localStorage.setItem('user_info', JSON.stringify(userData))
   }
 
   const loadPersistedData = () => {
     const storedWorkspace = localStorage.getItem('current_workspace')
     if (storedWorkspace) {
-      try { currentWorkspace.value = JSON.parse(storedWorkspace) } catch (error) { console.error('Error loading persisted workspace:', error) }
+      try { currentWorkspace.value = JSON.parse(storedWorkspace); registerWorkspaceStorage(currentWorkspace.value) } catch (error) { console.error('Error loading persisted workspace:', error) }
     }
     const storedWorkspaces = localStorage.getItem('available_workspaces')
     if (storedWorkspaces) {
-      try { workspaces.value = JSON.parse(storedWorkspaces) } catch (error) { console.error('Error loading persisted workspaces:', error) }
+      try { workspaces.value = JSON.parse(storedWorkspaces); workspaces.value.forEach(registerWorkspaceStorage) } catch (error) { console.error('Error loading persisted workspaces:', error) }
     }
     const storedUser = localStorage.getItem('user_info')
     if (storedUser) {
-      try { user.value = JSON.parse(storedUser) } catch (error) { console.error('Error loading persisted user:', error) }
+      try { user.value = JSON.parse(storedUser); setCommitIdentity(user.value) } catch (error) { console.error('Error loading persisted user:', error) }
     }
   }
 
@@ -55,6 +98,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
     currentWorkspace.value = null
     workspaces.value = []
     user.value = null
+    setCommitIdentity(null)
     localStorage.removeItem('current_workspace')
     localStorage.removeItem('available_workspaces')
     localStorage.removeItem('user_info')
@@ -90,6 +134,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
       }
       
       // Load cached workspaces
+      await loadWorkspaceCache()
       const cachedWorkspaces = getCachedWorkspaces(userId)
       if (cachedWorkspaces && cachedWorkspaces.length > 0) {
         const duration = performance.now() - startTime
@@ -124,6 +169,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
       if (!authUser) return []
       
       // Check cached user data first
+      await loadWorkspaceCache()
       const cachedUserData = getCachedUser(authUser.id)
       if (cachedUserData && !forceRefresh) {
         console.log('⚡ Using cached user data')
@@ -178,7 +224,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
       let query = supabase
         .from('workspaces')
         .select(`
-          id, title, description, parent_workspace_id, created_by, archived, created_at, git_repo,
+          id, title, description, parent_workspace_id, created_by, archived, created_at, git_repo, git_owner, git_default_branch,
           workspace_access!inner ( access_type, shared_with_user_id ),
           workspace_activities!left ( updated_at )
         `)
@@ -211,7 +257,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
       if (parentIds.length) {
         let parentQuery = supabase
           .from('workspaces')
-          .select('id, title, description, parent_workspace_id, created_by, archived, created_at, git_repo')
+          .select('id, title, description, parent_workspace_id, created_by, archived, created_at, git_repo, git_owner, git_default_branch')
           .in('id', parentIds)
         if (!includeArchived) parentQuery = parentQuery.eq('archived', false)
         const { data: parents, error: parentError } = await parentQuery
@@ -230,6 +276,8 @@ export const useWorkspaceStore = defineStore('workspace', () => {
         archived: w.archived,
         created_at: w.created_at,
         git_repo: w.git_repo,
+        git_owner: w.git_owner,
+        git_default_branch: w.git_default_branch,
         latest_activity: w.workspace_activities?.[0]?.updated_at || w.created_at,
         hasAccess: userAccess.has(w.id),
         accessType: userAccess.get(w.id)?.access_type || null
@@ -322,6 +370,7 @@ export const useWorkspaceStore = defineStore('workspace', () => {
     user,
     setCurrentWorkspace,
     setWorkspaces,
+    setWorkspaceRepository,
     setUser,
     loadPersistedData,
     clearData,
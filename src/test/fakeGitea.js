@@ -0,0 +1,44 @@
+/**
+ * Fake Gitea for the client tests, installed in place of fetch
+ *
+ * routes map "METHOD pathname" to a handler called with { method, pathname, ref, searchParams, body } that returns
+ * the Response. Unknown routes answer 404. Commits to the multi-file contents endpoint are recorded in commits as
+ * { repo, ...body } and answered with a new commit unless a route answers them.
+ */
+
+import { vi } from 'vitest';
+
+export const HOST = 'https://gitea.test';
+export const OWNER = 'associateattorney';
+
+/**
+ * API pathname of a repository, apiPath('repo', '/contents/a.pdf')
+ */
+export function apiPath(repoName, path = '') {
+  return `/api/v1/repos/${OWNER}/${repoName}${path}`;
+}
+
+export function fakeGitea(routes = {}) {
+  const requests = [];
+  const commits = [];
+
+  const fetch = vi.fn(async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = init.method || 'GET';
+    const request = { method, pathname, ref: searchParams.get('ref'), searchParams, body: init.body };
+    requests.push(request);
+
+    const commitTo = method === 'POST' && pathname.match(/^\/api\/v1\/repos\/[^/]+\/([^/]+)\/contents$/);
+    if (commitTo) {
+      commits.push({ repo: commitTo[1], ...JSON.parse(init.body) });
+    }
+
+    const route = routes[`${method} ${pathname}`];
+    if (route) return route(request);
+    if (commitTo) return Response.json({ commit: { sha: 'new-commit' }, files: [] });
+    return Response.json({ message: 'Not found' }, { status: 404 });
+  });
+
+  vi.stubGlobal('fetch', fetch);
+  return { fetch, requests, commits };
+}
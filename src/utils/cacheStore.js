@@ -0,0 +1,462 @@
+/**
+ * Cache Store
+ * IndexedDB storage behind the repository and workspace caches, with a synchronous in-memory front
+ *
+ * Entries belong to a scope: a repository, "repo@tag" for a snapshot, or "workspaces". loadCacheScope() reads a
+ * scope into memory so lookups stay synchronous; writes go to memory at once and to IndexedDB shortly after.
+ * Every entry's size is tracked, and when the cache outgrows its budget the least recently used entries are
+ * evicted, whichever repository they belong to. Pinned entries (small ones the others depend on) are never evicted.
+ * Other tabs are told about every write and delete (tabSync.js), so their memory stays in line with IndexedDB.
+ */
+
+import { broadcast, onBroadcast } from './tabSync';
+
+const DB_NAME = 'drive_cache';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries'; // { key, scope, json }
+const META_STORE = 'meta'; // { key, scope, size, lastAccessed, pinned }
+
+// Upper limit, the browser's quota can lower it further
+const MAX_CACHE_BYTES = Number(import.meta.env.VITE_CACHE_MAX_MB || 200) * 1024 * 1024;
+// Share of the origin's storage quota the cache may use
+const QUOTA_SHARE = 0.5;
+// Evict down to this share of the budget so we don't evict again on the next write
+const EVICTION_TARGET = 0.9;
+const FLUSH_DELAY = 100;
+
+const encoder = new TextEncoder();
+
+// Values of loaded scopes and entries written this session
+const memory = new Map();
+// Every stored entry, loaded when the database opens
+const meta = new Map();
+const loadedScopes = new Map();
+const migrations = [];
+
+const pendingWrites = new Map();
+// Key -> scope of deleted entries
+const pendingDeletes = new Map();
+const touchedKeys = new Set();
+// Called with the changes other tabs made
+const remoteListeners = new Set();
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+let databasePromise = null;
+let quotaBudget = Infinity;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+        db.createObjectStore(ENTRY_STORE, { keyPath: 'key' }).createIndex('scope', 'scope');
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function estimateQuota() {
+  try {
+    const { quota } = await navigator.storage.estimate();
+    if (quota) {
+      quotaBudget = Math.floor(quota * QUOTA_SHARE);
+    }
+  } catch (error) {
+    // Not every browser reports a quota, the fixed limit still applies
+  }
+}
+
+/**
+ * Open the database and load what it holds, null when IndexedDB isn't available (the cache then lives in memory)
+ */
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      try {
+        if (typeof indexedDB === 'undefined') return null;
+
+        const db = await openDatabase();
+        const records = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+        for (const record of records) {
+          // Entries written or deleted before the database opened are newer
+          if (!meta.has(record.key) && !pendingDeletes.has(record.key)) {
+            meta.set(record.key, record);
+          }
+        }
+        await estimateQuota();
+        return db;
+      } catch (error) {
+        console.warn('IndexedDB is not available, caching in memory only:', error);
+        return null;
+      }
+    })();
+  }
+  return databasePromise;
+}
+
+function getBudget() {
+  return Math.min(MAX_CACHE_BYTES, quotaBudget);
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushing = flushing.then(flush).catch(error => console.warn('Failed to write cache:', error));
+  }, FLUSH_DELAY);
+}
+
+/**
+ * Drop least recently used entries until the cache fits its budget
+ */
+function evictLeastRecentlyUsed() {
+  const budget = getBudget();
+  let total = 0;
+  for (const record of meta.values()) total += record.size;
+  if (total <= budget) return;
+
+  const target = budget * EVICTION_TARGET;
+  const candidates = [...meta.values()].filter(record => !record.pinned).sort((a, b) => a.lastAccessed - b.lastAccessed);
+  let evicted = 0;
+  let freed = 0;
+
+  for (const record of candidates) {
+    if (total <= target) break;
+    deleteCacheEntry(record.key);
+    total -= record.size;
+    freed += record.size;
+    evicted++;
+  }
+
+  console.log(`🧹 Evicted ${evicted} cache entries (${Math.round(freed / 1024)}KB) to stay under ${Math.round(budget / 1024 / 1024)}MB`);
+}
+
+/**
+ * Serialize pending writes and record their size, off the caller's path like the localStorage writes were
+ */
+function serializePendingWrites() {
+  for (const write of [...pendingWrites.values()]) {
+    if (write.json !== undefined) continue;
+    try {
+      write.json = JSON.stringify(write.value);
+      const record = meta.get(write.key);
+      if (record) record.size = encoder.encode(write.json).length;
+    } catch (error) {
+      console.warn('Cache entry could not be serialized:', write.key, error);
+      pendingWrites.delete(write.key);
+    }
+  }
+}
+
+/**
+ * Send pending writes and deletes to the other tabs, this tab stores them
+ */
+function broadcastPendingChanges() {
+  const writes = [...pendingWrites.values()]
+    .filter(write => !write.retried && meta.has(write.key))
+    .map(write => {
+      const { size, lastAccessed, pinned } = meta.get(write.key);
+      return { key: write.key, scope: write.scope, json: write.json, size, lastAccessed, pinned };
+    });
+  const deletes = [...pendingDeletes].map(([key, scope]) => ({ key, scope }));
+
+  if (writes.length > 0 || deletes.length > 0) {
+    broadcast('cache', { writes, deletes });
+  }
+}
+
+/**
+ * Take writes and deletes another tab made, it stores them in IndexedDB itself
+ */
+function applyRemoteChanges({ writes = [], deletes = [] }) {
+  const changes = [];
+
+  for (const { key, scope } of deletes) {
+    memory.delete(key);
+    meta.delete(key);
+    pendingWrites.delete(key);
+    touchedKeys.delete(key);
+    changes.push({ key, scope, deleted: true });
+  }
+
+  for (const { key, scope, json, size, lastAccessed, pinned } of writes) {
+    meta.set(key, { key, scope, size, lastAccessed, pinned });
+    pendingWrites.delete(key);
+    pendingDeletes.delete(key);
+    // Scopes this tab hasn't read yet get the entry from IndexedDB when they're loaded
+    if (memory.has(key) || loadedScopes.has(scope)) {
+      memory.set(key, JSON.parse(json));
+    }
+    changes.push({ key, scope, deleted: false });
+  }
+
+  for (const listener of remoteListeners) {
+    try {
+      listener(changes);
+    } catch (error) {
+      console.warn('Cache change listener failed:', error);
+    }
+  }
+}
+
+onBroadcast('cache', applyRemoteChanges);
+
+/**
+ * Listen for cache entries other tabs wrote or deleted, called with [{ key, scope, deleted }]
+ * Returns a function that stops listening
+ */
+export function onRemoteCacheChange(listener) {
+  remoteListeners.add(listener);
+  return () => remoteListeners.delete(listener);
+}
+
+/**
+ * Write pending changes to IndexedDB in one transaction
+ */
+async function flush() {
+  const db = await getDatabase();
+  serializePendingWrites();
+  evictLeastRecentlyUsed();
+  broadcastPendingChanges();
+
+  if (!db) {
+    pendingWrites.clear();
+    pendingDeletes.clear();
+    touchedKeys.clear();
+    return;
+  }
+
+  const writes = [...pendingWrites.values()];
+  const deletes = [...pendingDeletes.keys()];
+  const touched = [...touchedKeys].map(key => meta.get(key)).filter(Boolean);
+  pendingWrites.clear();
+  pendingDeletes.clear();
+  touchedKeys.clear();
+  if (writes.length === 0 && deletes.length === 0 && touched.length === 0) return;
+
+  try {
+    const transaction = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    const entryStore = transaction.objectStore(ENTRY_STORE);
+    const metaStore = transaction.objectStore(META_STORE);
+
+    for (const key of deletes) {
+      entryStore.delete(key);
+      metaStore.delete(key);
+    }
+    for (const write of writes) {
+      entryStore.put({ key: write.key, scope: write.scope, json: write.json });
+      metaStore.put(meta.get(write.key));
+    }
+    for (const record of touched) {
+      metaStore.put(record);
+    }
+
+    await transactionDone(transaction);
+  } catch (error) {
+    if (error?.name !== 'QuotaExceededError') {
+      console.warn('Failed to write cache to IndexedDB:', error);
+      return;
+    }
+
+    // The browser has less room than it reported, shrink the budget and try once more
+    let total = 0;
+    for (const record of meta.values()) total += record.size;
+    quotaBudget = Math.floor(total * 0.75);
+    console.warn(`💾 Cache storage is full, limiting the cache to ${Math.round(quotaBudget / 1024)}KB`);
+
+    deletes.forEach(key => pendingDeletes.set(key, null));
+    writes.filter(write => !write.retried && meta.has(write.key) && !pendingWrites.has(write.key))
+      .forEach(write => pendingWrites.set(write.key, { ...write, retried: true }));
+    scheduleFlush();
+  }
+}
+
+/**
+ * Wait for the database to open and existing localStorage entries to be moved over
+ */
+export async function whenCacheReady() {
+  await getDatabase();
+  await Promise.all(migrations);
+}
+
+/**
+ * Read a scope's entries into memory, safe to call repeatedly
+ */
+export function loadCacheScope(scope) {
+  if (!loadedScopes.has(scope)) {
+    loadedScopes.set(scope, (async () => {
+      await whenCacheReady();
+      const db = await getDatabase();
+      if (!db) return;
+
+      try {
+        const index = db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).index('scope');
+        const records = await requestToPromise(index.getAll(scope));
+        for (const record of records) {
+          // Skip entries deleted or rewritten since the read started
+          if (meta.has(record.key) && !memory.has(record.key)) {
+            memory.set(record.key, JSON.parse(record.json));
+          }
+        }
+      } catch (error) {
+        console.warn(`Failed to load cache for ${scope}:`, error);
+      }
+    })());
+  }
+  return loadedScopes.get(scope);
+}
+
+/**
+ * Cached value for a key, null when missing or its scope isn't loaded yet
+ */
+export function readCacheEntry(key) {
+  if (!memory.has(key)) return null;
+
+  const record = meta.get(key);
+  if (record) {
+    record.lastAccessed = Date.now();
+    touchedKeys.add(key);
+    scheduleFlush();
+  }
+  return memory.get(key);
+}
+
+/**
+ * Store a value, options.lastAccessed keeps the age of migrated entries, options.pinned keeps it from being evicted
+ * The size is known once the value is written to IndexedDB
+ */
+export function writeCacheEntry(key, scope, value, options = {}) {
+  memory.set(key, value);
+  meta.set(key, {
+    key,
+    scope,
+    size: meta.get(key)?.size || 0,
+    lastAccessed: options.lastAccessed || Date.now(),
+    pinned: Boolean(options.pinned)
+  });
+  pendingDeletes.delete(key);
+  pendingWrites.set(key, { key, scope, value });
+  scheduleFlush();
+}
+
+export function deleteCacheEntry(key) {
+  const record = meta.get(key);
+  memory.delete(key);
+  meta.delete(key);
+  pendingWrites.delete(key);
+  touchedKeys.delete(key);
+  pendingDeletes.set(key, record?.scope ?? null);
+  scheduleFlush();
+}
+
+/**
+ * Keys stored for a scope, loaded or not
+ */
+export function getCacheKeys(scope) {
+  const keys = [];
+  for (const record of meta.values()) {
+    if (record.scope === scope) keys.push(record.key);
+  }
+  return keys;
+}
+
+/**
+ * Delete every entry of the scopes matching a filter
+ */
+export function clearCacheScopes(matchesScope) {
+  for (const record of [...meta.values()]) {
+    if (matchesScope(record.scope)) {
+      deleteCacheEntry(record.key);
+    }
+  }
+  for (const scope of [...loadedScopes.keys()]) {
+    if (matchesScope(scope)) loadedScopes.delete(scope);
+  }
+}
+
+/**
+ * Bytes stored per scope, plus totals and what's held in memory
+ * includeRecord({ key, scope }) limits the numbers to some entries
+ */
+export function getCacheUsage(includeRecord = () => true) {
+  const scopes = {};
+  let totalEntries = 0;
+  let totalSize = 0;
+  let memoryEntries = 0;
+  let memorySize = 0;
+
+  for (const record of meta.values()) {
+    if (!includeRecord(record)) continue;
+    scopes[record.scope] = (scopes[record.scope] || 0) + record.size;
+    totalEntries++;
+    totalSize += record.size;
+    if (memory.has(record.key)) {
+      memoryEntries++;
+      memorySize += record.size;
+    }
+  }
+
+  return { totalEntries, totalSize, scopes, memoryEntries, memorySize, budget: getBudget() };
+}
+
+/**
+ * Move entries a previous version kept in localStorage, once
+ * getScope(key, value) names the scope of an entry, or returns null to drop it
+ */
+export function migrateLegacyEntries(prefix, getScope) {
+  const migration = (async () => {
+    // Without IndexedDB the old entries stay where they are
+    if (!await getDatabase()) return;
+
+    let keys = [];
+    try {
+      keys = Object.keys(localStorage).filter(key => key.startsWith(prefix));
+    } catch (error) {
+      return;
+    }
+
+    let moved = 0;
+    for (const key of keys) {
+      try {
+        const value = JSON.parse(localStorage.getItem(key));
+        const scope = value && getScope(key, value);
+        if (scope && !meta.has(key)) {
+          writeCacheEntry(key, scope, value, { lastAccessed: value.timestamp });
+          moved++;
+        }
+      } catch (error) {
+        // Unreadable entries are dropped
+      }
+      localStorage.removeItem(key);
+    }
+
+    if (moved > 0) {
+      console.log(`📦 Moved ${moved} cache entries from localStorage to IndexedDB`);
+    }
+  })();
+
+  migrations.push(migration);
+  return migration;
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+let cacheStore;
+
+beforeAll(async () => {
+  // A budget of about 1KB
+  vi.stubEnv('VITE_CACHE_MAX_MB', String(1 / 1024));
+  cacheStore = await import('./cacheStore');
+});
+
+describe('eviction', () => {
+  it('keeps pinned entries however long ago they were read', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { writeCacheEntry, readCacheEntry } = cacheStore;
+    const listing = 'x'.repeat(600);
+
+    writeCacheEntry('commit', 'repo', { commitSha: 'c1' }, { lastAccessed: 1, pinned: true });
+    writeCacheEntry('old listing', 'repo', listing, { lastAccessed: 2 });
+    writeCacheEntry('new listing', 'repo', listing);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(readCacheEntry('commit')).toEqual({ commitSha: 'c1' });
+    expect(readCacheEntry('old listing')).toBeNull();
+    expect(readCacheEntry('new listing')).toBe(listing);
+  });
+});
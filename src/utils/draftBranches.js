@@ -0,0 +1,261 @@
+/**
+ * Draft Branches
+ * Stage workspace changes on a Gitea branch and merge them into main after review
+ */
+
+import { getGiteaHeaders } from './giteaFileOperations';
+import { getRepoFullName, getDefaultBranch } from './storageConfig';
+import { scheduledFetch } from './requestScheduler';
+
+export const DRAFT_PREFIX = 'draft/';
+
+/**
+ * Turn a draft name typed by the user into a branch name ("Smith reorg" -> "draft/smith-reorg")
+ */
+export function toDraftBranch(name) {
+  const slug = (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .replace(/\.{2,}/g, '.');
+  return slug ? `${DRAFT_PREFIX}${slug}` : null;
+}
+
+/**
+ * Display name of a draft branch ("draft/smith-reorg" -> "smith-reorg")
+ */
+export function getDraftName(branch) {
+  return branch?.startsWith(DRAFT_PREFIX) ? branch.substring(DRAFT_PREFIX.length) : branch;
+}
+
+export function isDraftBranch(branch) {
+  return !!branch && branch.startsWith(DRAFT_PREFIX);
+}
+
+/**
+ * List the draft branches of a repository, most recently updated first
+ * Returns [{ branch, name, commitSha, updatedAt, updatedBy }]
+ */
+export async function listDrafts(giteaHost, giteaToken, repoName) {
+  const branches = [];
+  const perPage = 50;
+
+  for (let page = 1; ; page++) {
+    const response = await scheduledFetch(`${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/branches?limit=${perPage}&page=${page}`, {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load drafts: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const pageBranches = Array.isArray(data) ? data : [];
+    branches.push(...pageBranches);
+    if (pageBranches.length < perPage) break;
+  }
+
+  return branches
+    .filter(branch => isDraftBranch(branch.name))
+    .map(branch => ({
+      branch: branch.name,
+      name: getDraftName(branch.name),
+      commitSha: branch.commit?.id || null,
+      updatedAt: branch.commit?.timestamp || null,
+      updatedBy: branch.commit?.author?.name || null
+    }))
+    .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+}
+
+/**
+ * Start a draft from the current state of main
+ * Returns the branch name
+ */
+export async function createDraft(giteaHost, giteaToken, repoName, name) {
+  const branch = toDraftBranch(name);
+  if (!branch) {
+    throw new Error('Draft name cannot be empty');
+  }
+
+  const response = await scheduledFetch(`${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/branches`, {
+    method: 'POST',
+    headers: getGiteaHeaders(giteaToken),
+    body: JSON.stringify({
+      new_branch_name: branch,
+      old_branch_name: getDefaultBranch(repoName)
+    })
+  });
+
+  if (response.status === 409) {
+    throw new Error(`A draft named "${getDraftName(branch)}" already exists`);
+  }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Failed to create draft: ${response.status} ${response.statusText}`);
+  }
+
+  console.log(`🌿 Started draft ${branch}`);
+  return branch;
+}
+
+/**
+ * Net file changes of a draft compared to main
+ * Returns [{ path, status: 'added' | 'modified' | 'deleted' }] sorted by path
+ */
+export async function getDraftChanges(giteaHost, giteaToken, repoName, branch) {
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/compare/${getDefaultBranch(repoName)}...${branch}`,
+    {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken)
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to load draft changes: ${response.status} ${response.statusText}`);
+  }
+
+  const compareData = await response.json();
+
+  // Older Gitea versions only list files per commit, fold them into one status per path
+  const statuses = new Map();
+  const record = (path, status) => {
+    const previous = statuses.get(path);
+    if (status === 'removed' || status === 'deleted') {
+      // Added and then deleted inside the draft: no net change
+      if (previous === 'added') statuses.delete(path);
+      else statuses.set(path, 'deleted');
+    } else if (status === 'added') {
+      statuses.set(path, previous === 'deleted' ? 'modified' : 'added');
+    } else if (previous !== 'added') {
+      statuses.set(path, 'modified');
+    }
+  };
+
+  if (Array.isArray(compareData.files) && compareData.files.length > 0) {
+    compareData.files.forEach(file => record(file.filename, file.status));
+  } else {
+    // Commits come newest first
+    [...(compareData.commits || [])].reverse().forEach(commit => {
+      (commit.files || []).forEach(file => record(file.filename, file.status));
+    });
+  }
+
+  return [...statuses.entries()]
+    .map(([path, status]) => ({ path, status }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Merge a draft into main through a pull request and delete the branch
+ * Returns the merge commit sha on main (null if it couldn't be read back)
+ */
+export async function mergeDraft(giteaHost, giteaToken, repoName, branch, message) {
+  const baseUrl = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}`;
+  const headers = getGiteaHeaders(giteaToken);
+  const baseBranch = getDefaultBranch(repoName);
+
+  // Reuse an open pull request for the draft if there is one
+  const openPulls = await listOpenPulls(baseUrl, headers);
+  let pull = openPulls.find(pr => pr.head?.ref === branch && pr.base?.ref === baseBranch);
+
+  if (!pull) {
+    const createResponse = await scheduledFetch(`${baseUrl}/pulls`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        base: baseBranch,
+        head: branch,
+        title: message || `Merge draft ${getDraftName(branch)}`
+      })
+    });
+
+    if (!createResponse.ok) {
+      const errorData = await createResponse.json().catch(() => ({}));
+      throw new Error(errorData.message || `Failed to prepare merge: ${createResponse.status} ${createResponse.statusText}`);
+    }
+    pull = await createResponse.json();
+  }
+
+  const mergeResponse = await scheduledFetch(`${baseUrl}/pulls/${pull.number}/merge`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      Do: 'merge',
+      merge_title_field: message || `Merge draft ${getDraftName(branch)}`,
+      delete_branch_after_merge: true
+    })
+  });
+
+  if (mergeResponse.status === 405 || mergeResponse.status === 409) {
+    throw new Error('This draft conflicts with changes made to the live files since it was started');
+  }
+  if (!mergeResponse.ok) {
+    const errorData = await mergeResponse.json().catch(() => ({}));
+    throw new Error(errorData.message || `Merge failed: ${mergeResponse.status} ${mergeResponse.statusText}`);
+  }
+
+  // Older Gitea versions ignore delete_branch_after_merge
+  await deleteBranch(giteaHost, giteaToken, repoName, branch).catch(() => {});
+
+  console.log(`🔀 Merged draft ${branch} into ${baseBranch}`);
+
+  const mainResponse = await scheduledFetch(`${baseUrl}/branches/${baseBranch}`, { method: 'GET', headers });
+  const mainBranch = mainResponse.ok ? await mainResponse.json() : null;
+  return mainBranch?.commit?.id || null;
+}
+
+/**
+ * Throw a draft away, closing its pull request if one was opened
+ */
+export async function discardDraft(giteaHost, giteaToken, repoName, branch) {
+  const baseUrl = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}`;
+  const headers = getGiteaHeaders(giteaToken);
+
+  const openPulls = await listOpenPulls(baseUrl, headers);
+  for (const pull of openPulls.filter(pr => pr.head?.ref === branch)) {
+    await scheduledFetch(`${baseUrl}/pulls/${pull.number}`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify({ state: 'closed' })
+    });
+  }
+
+  await deleteBranch(giteaHost, giteaToken, repoName, branch);
+
+  console.log(`🗑️ Discarded draft ${branch}`);
+}
+
+/**
+ * Every open pull request of the repository, an unreadable page ends the list early
+ */
+async function listOpenPulls(baseUrl, headers) {
+  const pulls = [];
+  const perPage = 50;
+
+  for (let page = 1; ; page++) {
+    const response = await scheduledFetch(`${baseUrl}/pulls?state=open&limit=${perPage}&page=${page}`, { method: 'GET', headers });
+    const data = response.ok ? await response.json() : [];
+    const pagePulls = Array.isArray(data) ? data : [];
+    pulls.push(...pagePulls);
+    if (pagePulls.length < perPage) break;
+  }
+
+  return pulls;
+}
+
+async function deleteBranch(giteaHost, giteaToken, repoName, branch) {
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/branches/${branch}`,
+    {
+      method: 'DELETE',
+      headers: getGiteaHeaders(giteaToken)
+    }
+  );
+
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Failed to delete draft: ${response.status} ${response.statusText}`);
+  }
+}
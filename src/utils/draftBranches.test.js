@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { listDrafts, mergeDraft, discardDraft } from './draftBranches';
+import { HOST, apiPath, fakeGitea } from '../test/fakeGitea';
+
+const REPO = 'repo';
+
+function branch(index) {
+  return {
+    name: index % 2 ? `draft/reorg-${index}` : `topic-${index}`,
+    commit: { id: `c${index}`, timestamp: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(), author: { name: 'Maria' } }
+  };
+}
+
+// Open pull requests, the draft's own is on the second page
+function pulls() {
+  return Array.from({ length: 55 }, (_, index) => ({
+    number: index + 1,
+    head: { ref: index === 52 ? 'draft/smith' : `draft/other-${index}` },
+    base: { ref: 'main' }
+  }));
+}
+
+function paged(items) {
+  return ({ searchParams }) => {
+    const limit = Number(searchParams.get('limit'));
+    const page = Number(searchParams.get('page'));
+    return Response.json(items.slice((page - 1) * limit, page * limit));
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('listDrafts', () => {
+  it('reads every page of branches', async () => {
+    const branches = Array.from({ length: 120 }, (_, index) => branch(index));
+    const { requests } = fakeGitea({ [`GET ${apiPath(REPO, '/branches')}`]: paged(branches) });
+
+    const drafts = await listDrafts(HOST, 'token', REPO);
+
+    expect(requests.map(request => request.searchParams.get('page'))).toEqual(['1', '2', '3']);
+    expect(drafts).toHaveLength(60);
+    expect(drafts[0]).toEqual({ branch: 'draft/reorg-119', name: 'reorg-119', commitSha: 'c119', updatedAt: branches[119].commit.timestamp, updatedBy: 'Maria' });
+  });
+});
+
+describe('mergeDraft', () => {
+  it('merges the open pull request of the draft when it is past the first page', async () => {
+    const { requests } = fakeGitea({
+      [`GET ${apiPath(REPO, '/pulls')}`]: paged(pulls()),
+      [`POST ${apiPath(REPO, '/pulls/53/merge')}`]: () => new Response(null, { status: 200 }),
+      [`DELETE ${apiPath(REPO, '/branches/draft/smith')}`]: () => new Response(null, { status: 204 }),
+      [`GET ${apiPath(REPO, '/branches/main')}`]: () => Response.json({ commit: { id: 'merged' } })
+    });
+
+    expect(await mergeDraft(HOST, 'token', REPO, 'draft/smith', 'Smith reorg')).toBe('merged');
+    expect(requests.some(request => request.method === 'POST' && request.pathname === apiPath(REPO, '/pulls'))).toBe(false);
+  });
+});
+
+describe('discardDraft', () => {
+  it('closes the open pull request of the draft when it is past the first page', async () => {
+    const { requests } = fakeGitea({
+      [`GET ${apiPath(REPO, '/pulls')}`]: paged(pulls()),
+      [`PATCH ${apiPath(REPO, '/pulls/53')}`]: () => Response.json({}),
+      [`DELETE ${apiPath(REPO, '/branches/draft/smith')}`]: () => new Response(null, { status: 204 })
+    });
+
+    await discardDraft(HOST, 'token', REPO, 'draft/smith');
+
+    expect(requests.filter(request => request.method === 'PATCH').map(request => request.pathname)).toEqual([apiPath(REPO, '/pulls/53')]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Drop Entries
+ * Turns a drag-and-drop DataTransfer into a flat list of files with their relative paths,
+ * walking dropped directories with webkitGetAsEntry so the folder structure is kept
+ */
+
+export const FOLDER_PLACEHOLDER = '.gitkeep';
+
+/**
+ * Check whether a drag event carries files (as opposed to text or links)
+ */
+export function isFileDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * Read every entry in a directory (readEntries returns results in batches)
+ */
+function readAllDirectoryEntries(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+}
+
+function getEntryFile(fileEntry) {
+  return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+}
+
+/**
+ * Walk a file system entry and collect { file, relativePath, placeholder } items
+ * Empty directories get a .gitkeep placeholder since Git doesn't track empty folders
+ */
+async function collectEntry(entry, parentPath, results) {
+  const relativePath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    const file = await getEntryFile(entry);
+    results.push({ file, relativePath, placeholder: false });
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const children = await readAllDirectoryEntries(entry);
+    if (children.length === 0) {
+      results.push({
+        file: new File([''], FOLDER_PLACEHOLDER),
+        relativePath: `${relativePath}/${FOLDER_PLACEHOLDER}`,
+        placeholder: true
+      });
+      return;
+    }
+
+    for (const child of children) {
+      await collectEntry(child, relativePath, results);
+    }
+  }
+}
+
+/**
+ * Collect every dropped file, including the contents of dropped folders
+ */
+export async function getDroppedFiles(dataTransfer) {
+  // Entries must be grabbed synchronously, the DataTransfer is emptied after the event
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  // Browsers without entry support only give us plain files
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files || []).map(file => ({
+      file,
+      relativePath: file.name,
+      placeholder: false
+    }));
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    await collectEntry(entry, '', results);
+  }
+  return results;
+}
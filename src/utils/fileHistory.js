@@ -0,0 +1,268 @@
+/**
+ * File History
+ * Read past versions of a file from the Gitea commits API and restore them
+ */
+
+import { getGiteaHeaders, getFileContent, getFileInfo, commitFileChanges } from './giteaFileOperations';
+import { getRepoFullName, getDefaultBranch } from './storageConfig';
+import { scheduledFetch } from './requestScheduler';
+
+/**
+ * Normalize a Gitea commit object into what the UI needs
+ */
+function toHistoryEntry(commit) {
+  const message = commit.commit?.message || '';
+  return {
+    sha: commit.sha,
+    shortSha: commit.sha.substring(0, 7),
+    message: message.split('\n')[0],
+    fullMessage: message,
+    authorName: commit.commit?.author?.name || commit.author?.login || 'Unknown',
+    authorEmail: commit.commit?.author?.email || '',
+    authorLogin: commit.author?.login || null,
+    date: commit.commit?.author?.date || commit.created,
+    parents: (commit.parents || []).map(parent => parent.sha)
+  };
+}
+
+/**
+ * List the commits that touched a path, newest first
+ * Returns { commits, hasMore }
+ */
+export async function getFileHistory(giteaHost, giteaToken, repoName, filePath, options = {}) {
+  const { page = 1, limit = 20, ref = getDefaultBranch(repoName) } = options;
+  const params = new URLSearchParams({
+    sha: ref,
+    path: filePath,
+    page: String(page),
+    limit: String(limit),
+    stat: 'false',
+    verification: 'false',
+    files: 'false'
+  });
+
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/commits?${params.toString()}`,
+    {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken)
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to load history: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const commits = (Array.isArray(data) ? data : []).map(toHistoryEntry);
+  // X-HasMore may not be exposed through CORS, fall back to a full page meaning "maybe more"
+  const hasMoreHeader = response.headers.get('X-HasMore');
+  const hasMore = hasMoreHeader !== null ? hasMoreHeader === 'true' : commits.length === limit;
+
+  return { commits, hasMore };
+}
+
+/**
+ * Find who last changed each item of a folder by walking the folder's recent commits
+ * childPaths are the files and subfolders listed in the folder, subfolders take the newest change inside them
+ * Returns a Map of path -> { name, email, date, sha }; items not changed within maxPages pages are left out
+ */
+export async function getLastEditors(giteaHost, giteaToken, repoName, folderPath, childPaths, options = {}) {
+  const { ref = getDefaultBranch(repoName), limit = 50, maxPages = 3 } = options;
+  const prefix = folderPath ? `${folderPath}/` : '';
+  const remaining = new Set(childPaths);
+  const editors = new Map();
+
+  for (let page = 1; page <= maxPages && remaining.size > 0; page++) {
+    const params = new URLSearchParams({
+      sha: ref,
+      page: String(page),
+      limit: String(limit),
+      stat: 'false',
+      verification: 'false',
+      files: 'true'
+    });
+    if (folderPath) {
+      params.set('path', folderPath);
+    }
+
+    const response = await scheduledFetch(
+      `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/commits?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getGiteaHeaders(giteaToken)
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to load editors: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const commits = Array.isArray(data) ? data : [];
+
+    for (const commit of commits) {
+      const entry = toHistoryEntry(commit);
+
+      for (const file of commit.files || []) {
+        if (!file.filename.startsWith(prefix)) continue;
+        // Direct child of the folder the file lives in (the file itself or a subfolder)
+        const childName = file.filename.substring(prefix.length).split('/')[0];
+        const childPath = prefix + childName;
+        if (!remaining.has(childPath)) continue;
+
+        remaining.delete(childPath);
+        editors.set(childPath, {
+          name: entry.authorName,
+          email: entry.authorEmail,
+          date: entry.date,
+          sha: entry.sha
+        });
+      }
+    }
+
+    if (commits.length < limit) break;
+  }
+
+  return editors;
+}
+
+/**
+ * Raw URL for a file at a specific commit (fetch it with getRawRequestHeaders)
+ * Uses /media/ so LFS files return their content rather than the pointer
+ */
+export function getRawFileUrl(giteaHost, repoName, filePath, ref) {
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  return `${giteaHost}/${getRepoFullName(repoName)}/media/commit/${ref}/${encodedPath}`;
+}
+
+/**
+ * Restore a file to its content at an earlier commit as a new commit
+ * Works for files that were deleted since (they get re-created)
+ * Returns { commitSha, sha, size }
+ */
+export async function restoreFileVersion(giteaHost, giteaToken, repoName, filePath, commitSha, message, branch = getDefaultBranch(repoName)) {
+  const version = await getFileContent(giteaHost, giteaToken, repoName, filePath, commitSha);
+
+  let currentSha = null;
+  try {
+    // Only the sha is needed, don't download a large file twice
+    currentSha = (await getFileInfo(giteaHost, giteaToken, repoName, filePath, branch)).sha;
+  } catch (error) {
+    // File no longer exists on the branch, restore re-creates it
+  }
+
+  if (currentSha && currentSha === version.sha) {
+    throw new Error('This version is already the current version');
+  }
+
+  const fileName = filePath.split('/').pop();
+  const commitMessage = message || `Restore ${fileName} to version ${commitSha.substring(0, 7)}`;
+  const change = currentSha
+    ? { operation: 'update', path: filePath, content: version.content, sha: currentSha }
+    : { operation: 'create', path: filePath, content: version.content };
+
+  const result = await commitFileChanges(giteaHost, giteaToken, repoName, [change], commitMessage, branch);
+  const restoredFile = result?.files?.[0];
+
+  console.log(`⏪ Restored ${filePath} to ${commitSha.substring(0, 7)}`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    sha: restoredFile?.sha || version.sha,
+    size: restoredFile?.size ?? version.size
+  };
+}
+
+/**
+ * Find files deleted in recent commits (newest first), scanning one page of commits
+ * Files that were re-created later in the scanned range are left out
+ * Returns { items, hasMore, oldestDate }
+ */
+export async function getDeletedFiles(giteaHost, giteaToken, repoName, options = {}) {
+  const { page = 1, limit = 50, ref = getDefaultBranch(repoName), seenPaths = new Set() } = options;
+  const params = new URLSearchParams({
+    sha: ref,
+    page: String(page),
+    limit: String(limit),
+    stat: 'false',
+    verification: 'false',
+    files: 'true'
+  });
+
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/commits?${params.toString()}`,
+    {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken)
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to load deleted files: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const commits = Array.isArray(data) ? data : [];
+  const items = [];
+
+  for (const commit of commits) {
+    const entry = toHistoryEntry(commit);
+
+    for (const file of commit.files || []) {
+      // seenPaths carries over between pages so newer events win
+      if (seenPaths.has(file.filename)) continue;
+      seenPaths.add(file.filename);
+
+      if (file.status !== 'removed' && file.status !== 'deleted') continue;
+      // Folder placeholders are restored along with the folder's files
+      if (file.filename.split('/').pop() === '.gitkeep') continue;
+
+      items.push({
+        path: file.filename,
+        name: file.filename.split('/').pop(),
+        folder: file.filename.includes('/') ? file.filename.substring(0, file.filename.lastIndexOf('/')) : '',
+        deletedAt: entry.date,
+        deletedBy: entry.authorName,
+        message: entry.message,
+        commitSha: entry.sha,
+        // The last version of the file lives in the deleting commit's parent
+        versionSha: entry.parents[0] || null
+      });
+    }
+  }
+
+  const hasMoreHeader = response.headers.get('X-HasMore');
+  return {
+    items: items.filter(item => item.versionSha),
+    hasMore: hasMoreHeader !== null ? hasMoreHeader === 'true' : commits.length === limit,
+    oldestDate: commits.length ? toHistoryEntry(commits[commits.length - 1]).date : null
+  };
+}
+
+/**
+ * Restore deleted files to their original paths in a single commit
+ * items are { path, versionSha } as returned by getDeletedFiles
+ * Returns { commitSha, restoredPaths }
+ */
+export async function restoreDeletedFiles(giteaHost, giteaToken, repoName, items, message, branch = getDefaultBranch(repoName)) {
+  const changes = [];
+
+  for (const item of items) {
+    const version = await getFileContent(giteaHost, giteaToken, repoName, item.path, item.versionSha);
+    changes.push({ operation: 'create', path: item.path, content: version.content });
+  }
+
+  const commitMessage = message || (items.length === 1
+    ? `Restore ${items[0].path} from trash`
+    : `Restore ${items.length} files from trash`);
+
+  const result = await commitFileChanges(giteaHost, giteaToken, repoName, changes, commitMessage, branch);
+
+  console.log(`♻️ Restored ${changes.length} file(s) from trash`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    restoredPaths: changes.map(change => change.path)
+  };
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getFileHistory, restoreFileVersion, getDeletedFiles, restoreDeletedFiles } from './fileHistory';
+import { bytesToBase64 } from './giteaFileOperations';
+import { HOST, apiPath, fakeGitea } from '../test/fakeGitea';
+
+const REPO = 'repo';
+const OLD_BYTES = new TextEncoder().encode('the signed version');
+
+// big.pdf, too large for the contents API to include, at commit "old-commit" and on main
+function largeFileRoutes() {
+  return {
+    [`GET ${apiPath(REPO, '/contents/big.pdf')}`]: ({ ref }) => ref === 'old-commit'
+      ? Response.json({ path: 'big.pdf', type: 'file', sha: 'old-blob', size: OLD_BYTES.length, content: null })
+      : Response.json({ path: 'big.pdf', type: 'file', sha: 'current-blob', size: 50 * 1024 * 1024, content: null }),
+    [`GET ${apiPath(REPO, '/media/big.pdf')}`]: ({ ref }) => ref === 'old-commit'
+      ? new Response(OLD_BYTES)
+      : Response.json({ message: 'Not found' }, { status: 404 })
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+// notes.md at "v1" and, unless deleted, at "v2" on main
+function smallFileRoutes({ deleted = false } = {}) {
+  return {
+    [`GET ${apiPath(REPO, '/contents/notes.md')}`]: ({ ref }) => {
+      if (ref === 'v1') return Response.json({ path: 'notes.md', type: 'file', sha: 'blob-1', size: 5, content: btoa('first') });
+      if (deleted) return Response.json({ message: 'Not found' }, { status: 404 });
+      return Response.json({ path: 'notes.md', type: 'file', sha: 'blob-2', size: 6, content: btoa('second') });
+    }
+  };
+}
+
+describe('getFileHistory', () => {
+  it('lists the commits of a file on the branch', async () => {
+    const gitea = fakeGitea({
+      [`GET ${apiPath(REPO, '/commits')}`]: () => Response.json([{
+        sha: 'v2000000000',
+        commit: { message: 'Update notes\n\nDetails', author: { name: 'Maria', email: 'maria@example.com', date: '2025-06-20T10:00:00Z' } },
+        parents: [{ sha: 'v1' }]
+      }], { headers: { 'X-HasMore': 'true' } })
+    });
+
+    const { commits, hasMore } = await getFileHistory(HOST, 'token', REPO, 'notes.md', { ref: 'draft/maria' });
+
+    expect(commits).toEqual([expect.objectContaining({
+      sha: 'v2000000000',
+      shortSha: 'v200000',
+      message: 'Update notes',
+      authorName: 'Maria',
+      authorEmail: 'maria@example.com',
+      parents: ['v1']
+    })]);
+    expect(hasMore).toBe(true);
+    const { searchParams } = gitea.requests[0];
+    expect([searchParams.get('path'), searchParams.get('sha')]).toEqual(['notes.md', 'draft/maria']);
+  });
+});
+
+describe('restoreFileVersion', () => {
+  it('refuses to restore the current version', async () => {
+    const gitea = fakeGitea(smallFileRoutes());
+
+    await expect(restoreFileVersion(HOST, 'token', REPO, 'notes.md', 'v2')).rejects.toThrow('already the current version');
+    expect(gitea.commits).toEqual([]);
+  });
+
+  it('re-creates a file deleted since', async () => {
+    const gitea = fakeGitea(smallFileRoutes({ deleted: true }));
+
+    await restoreFileVersion(HOST, 'token', REPO, 'notes.md', 'v1');
+
+    expect(gitea.commits[0].files).toEqual([{ operation: 'create', path: 'notes.md', content: btoa('first') }]);
+  });
+
+  it('restores the content of a version too large for the contents API', async () => {
+    const gitea = fakeGitea(largeFileRoutes());
+
+    await restoreFileVersion(HOST, 'token', REPO, 'big.pdf', 'old-commit');
+
+    expect(gitea.commits[0].files).toEqual([
+      { operation: 'update', path: 'big.pdf', content: bytesToBase64(OLD_BYTES), sha: 'current-blob' }
+    ]);
+    // The current version is only looked up for its sha
+    expect(gitea.requests.filter(request => request.pathname.includes('/media/')).map(request => request.ref)).toEqual(['old-commit']);
+  });
+});
+
+describe('getDeletedFiles', () => {
+  function commit(sha, parent, files) {
+    return { sha, commit: { message: `Commit ${sha}`, author: { name: 'Maria', date: '2025-06-20T10:00:00Z' } }, parents: [{ sha: parent }], files };
+  }
+
+  it('lists files deleted and not re-created since, with the version before the delete', async () => {
+    fakeGitea({
+      // Newest first
+      [`GET ${apiPath(REPO, '/commits')}`]: () => Response.json([
+        commit('c3', 'c2', [{ filename: 'draft.docx', status: 'added' }]),
+        commit('c2', 'c1', [
+          { filename: 'draft.docx', status: 'removed' },
+          { filename: 'Exhibits/a.pdf', status: 'removed' },
+          { filename: 'Exhibits/.gitkeep', status: 'removed' }
+        ])
+      ])
+    });
+
+    const { items } = await getDeletedFiles(HOST, 'token', REPO);
+
+    expect(items).toEqual([expect.objectContaining({ path: 'Exhibits/a.pdf', folder: 'Exhibits', deletedBy: 'Maria', versionSha: 'c1' })]);
+  });
+});
+
+describe('restoreDeletedFiles', () => {
+  it('restores several files in one commit', async () => {
+    const gitea = fakeGitea({
+      [`GET ${apiPath(REPO, '/contents/a.md')}`]: () => Response.json({ path: 'a.md', type: 'file', sha: 'a1', size: 1, content: btoa('a') }),
+      [`GET ${apiPath(REPO, '/contents/b.md')}`]: () => Response.json({ path: 'b.md', type: 'file', sha: 'b1', size: 1, content: btoa('b') })
+    });
+
+    await restoreDeletedFiles(HOST, 'token', REPO, [{ path: 'a.md', versionSha: 'c1' }, { path: 'b.md', versionSha: 'c1' }]);
+
+    expect(gitea.commits).toHaveLength(1);
+    expect(gitea.commits[0]).toMatchObject({
+      message: 'Restore 2 files from trash',
+      files: [{ operation: 'create', path: 'a.md', content: btoa('a') }, { operation: 'create', path: 'b.md', content: btoa('b') }]
+    });
+  });
+
+  it('re-creates a file too large for the contents API with its content', async () => {
+    const gitea = fakeGitea(largeFileRoutes());
+
+    await restoreDeletedFiles(HOST, 'token', REPO, [{ path: 'big.pdf', versionSha: 'old-commit' }]);
+
+    expect(gitea.commits[0].files).toEqual([{ operation: 'create', path: 'big.pdf', content: bytesToBase64(OLD_BYTES) }]);
+  });
+});
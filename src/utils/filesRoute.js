@@ -0,0 +1,117 @@
+/**
+ * Files Route
+ * Folder and file state of the file browser as readable URLs
+ *
+ * /single-workspace/5/files/filings/RFO/motion.pdf?draft=smith-reorg&split=exhibits/&split=notes.md#history
+ * - the path is the open folder, or the selected file inside it
+ * - the hash is the preview tab of the selected file (history, compare), preview is the default
+ * - each split parameter is a split pane: a file path, or a folder path ending in "/"
+ * - draft is the open draft (its name without "draft/"), snapshot the open snapshot's tag; neither means the live files
+ */
+
+export const FILES_ROUTE_NAME = 'Files';
+export const DEFAULT_VIEW = 'preview';
+const VIEWS = ['preview', 'history', 'compare'];
+
+function toSegments(path) {
+  return (path || '').split('/').filter(part => part !== '');
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function toName(value) {
+  return typeof value === 'string' && value !== '' ? value : null;
+}
+
+/**
+ * Encode a split pane, { folderPath, filePath }
+ */
+export function encodeSplit({ folderPath = '', filePath = null }) {
+  return filePath || `${toSegments(folderPath).join('/')}/`;
+}
+
+/**
+ * Read a split parameter back into { folderPath, filePath }
+ */
+export function decodeSplit(value) {
+  const path = toSegments(value).join('/');
+  if (value.endsWith('/') || !path) {
+    return { folderPath: path, filePath: null };
+  }
+  const parts = path.split('/');
+  return { folderPath: parts.slice(0, -1).join('/'), filePath: path };
+}
+
+/**
+ * Router location for a file browser state
+ * state is { path, view, splits, draft, snapshot } where path is the folder or selected file, splits are encoded
+ * split panes, draft is a draft name and snapshot a snapshot tag
+ */
+export function buildFilesLocation(workspaceId, { path = '', view = DEFAULT_VIEW, splits = [], draft = null, snapshot = null } = {}) {
+  const query = {};
+  if (draft) query.draft = draft;
+  if (snapshot) query.snapshot = snapshot;
+  if (splits.length > 0) query.split = splits;
+
+  return {
+    name: FILES_ROUTE_NAME,
+    params: { workspace_id: String(workspaceId), path: toSegments(path) },
+    query,
+    hash: view && view !== DEFAULT_VIEW ? `#${view}` : ''
+  };
+}
+
+/**
+ * File browser state in a route, { path, view, splits, draft, snapshot }
+ */
+export function parseFilesRoute(route) {
+  const view = (route.hash || '').replace(/^#/, '');
+  return {
+    path: toArray(route.params.path).join('/'),
+    view: VIEWS.includes(view) ? view : DEFAULT_VIEW,
+    splits: toArray(route.query.split).filter(value => typeof value === 'string' && value !== ''),
+    draft: toName(route.query.draft),
+    snapshot: toName(route.query.snapshot)
+  };
+}
+
+export function isSameFilesState(a, b) {
+  return a.path === b.path
+    && a.view === b.view
+    && (a.draft || null) === (b.draft || null)
+    && (a.snapshot || null) === (b.snapshot || null)
+    && a.splits.length === b.splits.length
+    && a.splits.every((split, index) => split === b.splits[index]);
+}
+
+// Old links encoded paths twice (?folder=filings%252FRFO), decode until nothing is left
+function decodeLegacyParam(value) {
+  let decoded = value;
+  for (let i = 0; i < 3 && /%[0-9A-Fa-f]{2}/.test(decoded); i++) {
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (error) {
+      break;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Location replacing an old ?folder=&file= link, or null when the route doesn't use them
+ * Other query parameters are kept
+ */
+export function redirectLegacyFilesQuery(route) {
+  const { folder, file, ...query } = route.query;
+  if (typeof folder !== 'string' && typeof file !== 'string') return null;
+
+  const folderPath = typeof folder === 'string' ? toSegments(decodeLegacyParam(folder)).join('/') : '';
+  const fileName = typeof file === 'string' ? decodeLegacyParam(file) : '';
+  const path = [folderPath, fileName].filter(Boolean).join('/');
+
+  const location = buildFilesLocation(route.params.workspace_id, { path });
+  return { ...location, query, hash: route.hash, replace: true };
+}
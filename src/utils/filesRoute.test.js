@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { buildFilesLocation, parseFilesRoute, isSameFilesState } from './filesRoute';
+
+// What the router hands back for a location
+function toRoute(location) {
+  return { params: location.params, query: location.query, hash: location.hash };
+}
+
+describe('files route', () => {
+  it('carries the open draft and snapshot', () => {
+    const state = { path: 'filings/motion.pdf', view: 'history', splits: ['exhibits/'], draft: 'smith-reorg', snapshot: 'as-filed' };
+
+    const location = buildFilesLocation(5, state);
+
+    expect(location.query).toEqual({ draft: 'smith-reorg', snapshot: 'as-filed', split: ['exhibits/'] });
+    expect(parseFilesRoute(toRoute(location))).toEqual(state);
+  });
+
+  it('reads a route without them as the live files', () => {
+    const location = buildFilesLocation(5, { path: 'filings' });
+
+    expect(location.query).toEqual({});
+    expect(parseFilesRoute(toRoute(location))).toMatchObject({ draft: null, snapshot: null });
+    expect(isSameFilesState(parseFilesRoute(toRoute(location)), { path: 'filings', view: 'preview', splits: [], draft: 'smith-reorg' })).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Folder Templates
+ * Reusable folder structures kept in a designated workspace and stamped into any folder in one commit
+ *
+ * Every folder under TEMPLATES_FOLDER in the templates repository is a template, its contents are copied into the
+ * target folder. {{name}} and {{date}} are filled in in file and folder names and in markdown files.
+ * An optional template.json ({ "description": "..." }) describes the template and isn't copied.
+ */
+
+import { getStorageProvider } from './storageProviders';
+import { decodeBase64Text, encodeBase64Text } from './giteaFileOperations';
+import { FOLDER_PLACEHOLDER } from './dropEntries';
+
+const TEMPLATES_REPO = import.meta.env.VITE_TEMPLATES_REPO || '';
+const TEMPLATES_FOLDER = import.meta.env.VITE_TEMPLATES_FOLDER || 'Templates';
+const MANIFEST_FILE = 'template.json';
+const PLACEHOLDER_PATTERN = /\{\{\s*(name|date)\s*\}\}/g;
+
+/**
+ * Whether a templates workspace has been configured (VITE_TEMPLATES_REPO)
+ */
+export function hasFolderTemplates() {
+  return !!TEMPLATES_REPO;
+}
+
+/**
+ * Templates available in the templates workspace, [{ id, name, path }]
+ */
+export async function listFolderTemplates() {
+  if (!TEMPLATES_REPO) return [];
+
+  const entries = await getStorageProvider(TEMPLATES_REPO).list(TEMPLATES_FOLDER);
+  return entries
+    .filter(entry => entry.type === 'dir')
+    .map(entry => ({ id: entry.path, name: entry.name, path: entry.path }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load what a template contains
+ * Returns { ...template, description, files: [{ path, relativePath }], usesName }
+ */
+export async function loadFolderTemplate(template) {
+  const storage = getStorageProvider(TEMPLATES_REPO);
+  const listed = await storage.listRecursive(template.path);
+  const toRelative = path => path.substring(template.path.length + 1);
+
+  let description = '';
+  const manifest = listed.find(file => toRelative(file.path) === MANIFEST_FILE);
+  if (manifest) {
+    try {
+      const { content } = await storage.read(manifest.path);
+      description = JSON.parse(decodeBase64Text(content)).description || '';
+    } catch (error) {
+      console.warn(`Ignoring invalid ${MANIFEST_FILE} in ${template.name}:`, error);
+    }
+  }
+
+  const files = listed
+    .filter(file => file !== manifest)
+    .map(file => ({ path: file.path, relativePath: toRelative(file.path) }));
+
+  // Markdown content isn't checked, only names decide whether to ask for a name
+  const usesName = files.some(file => /\{\{\s*name\s*\}\}/.test(file.relativePath));
+
+  return { ...template, description, files, usesName };
+}
+
+/**
+ * Values for the placeholders, name can't add path segments
+ */
+export function getPlaceholderValues(name = '') {
+  const today = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    name: name.trim().replace(/[\\/]+/g, '-'),
+    date: `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`
+  };
+}
+
+export function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) => values[key] ?? match);
+}
+
+function isMarkdown(path) {
+  return /\.(md|markdown)$/i.test(path);
+}
+
+function joinPath(folderPath, relativePath) {
+  return folderPath ? `${folderPath}/${relativePath}` : relativePath;
+}
+
+/**
+ * Paths a template creates in targetFolder, the folders and files the user will see
+ */
+export function getTemplateOutline(template, values) {
+  const outline = new Set();
+  for (const file of template.files) {
+    const parts = fillPlaceholders(file.relativePath, values).split('/');
+    parts.forEach((part, index) => {
+      const isFile = index === parts.length - 1;
+      if (isFile && part === FOLDER_PLACEHOLDER) return;
+      outline.add(parts.slice(0, index + 1).join('/') + (isFile ? '' : '/'));
+    });
+  }
+  return [...outline].sort();
+}
+
+/**
+ * Changes creating a template in targetFolder
+ * Throws when a top-level item would replace something that already exists there
+ */
+export async function buildFolderTemplateChanges(template, targetFolder, values, existingNames = []) {
+  const storage = getStorageProvider(TEMPLATES_REPO);
+
+  const targets = template.files.map(file => ({
+    ...file,
+    targetPath: joinPath(targetFolder, fillPlaceholders(file.relativePath, values))
+  }));
+
+  const taken = new Set(existingNames);
+  const clash = targets
+    .map(file => file.targetPath.substring(targetFolder ? targetFolder.length + 1 : 0).split('/')[0])
+    .find(name => taken.has(name));
+  if (clash) {
+    throw new Error(`"${clash}" already exists in this folder`);
+  }
+
+  return Promise.all(targets.map(async file => {
+    if (file.path.split('/').pop() === FOLDER_PLACEHOLDER) {
+      return { operation: 'create', path: file.targetPath, content: '' };
+    }
+
+    const { content } = await storage.read(file.path);
+    return {
+      operation: 'create',
+      path: file.targetPath,
+      content: isMarkdown(file.path) ? encodeBase64Text(fillPlaceholders(decodeBase64Text(content), values)) : content
+    };
+  }));
+}
@@ -0,0 +1,213 @@
+/**
+ * Git LFS
+ * Large files are uploaded through the LFS batch API and committed as small pointer files
+ * Gitea's /media/ URLs serve the real content for pointers, so downloads and previews don't change
+ */
+
+import { getGiteaHeaders, bytesToBase64, listFolderEntries, getParentPath } from './giteaFileOperations';
+import { getRepoFullName } from './storageConfig';
+import { scheduledFetch } from './requestScheduler';
+
+const POINTER_VERSION = 'https://git-lfs.github.com/spec/v1';
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+
+// Files at or above this size go to LFS instead of the contents API
+const LFS_THRESHOLD = Number(import.meta.env.VITE_LFS_THRESHOLD_MB || 20) * 1024 * 1024;
+// Files are hashed in memory before uploading, browsers can't hold much more than this
+const LFS_MAX_FILE_SIZE = Number(import.meta.env.VITE_LFS_MAX_FILE_MB || 2048) * 1024 * 1024;
+
+// Pointer files are about 130 bytes, anything outside this range is a regular file
+const POINTER_MIN_SIZE = 100;
+const POINTER_MAX_SIZE = 200;
+
+/**
+ * Whether a file of this size could be an LFS pointer
+ */
+export function isPointerSize(size) {
+  return size >= POINTER_MIN_SIZE && size <= POINTER_MAX_SIZE;
+}
+
+/**
+ * Whether a file of this size should be stored with LFS
+ */
+export function shouldUseLfs(size) {
+  return size >= LFS_THRESHOLD;
+}
+
+/**
+ * Text of the pointer file committed in place of the content
+ */
+export function buildLfsPointer(oid, size) {
+  return `version ${POINTER_VERSION}\noid sha256:${oid}\nsize ${size}\n`;
+}
+
+/**
+ * Read a pointer file, returns { oid, size } or null when the text isn't a pointer
+ */
+export function parseLfsPointer(text) {
+  if (!text || !text.startsWith(`version ${POINTER_VERSION}`)) return null;
+
+  const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m);
+  const size = text.match(/^size (\d+)$/m);
+  if (!oid || !size) return null;
+
+  return { oid: oid[1], size: Number(size[1]) };
+}
+
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Batch responses point at Gitea's public URL, send the transfer through giteaHost (the proxy) instead
+ */
+function toHostUrl(giteaHost, href) {
+  const url = new URL(href, giteaHost);
+  return `${giteaHost}${url.pathname}${url.search}`;
+}
+
+/**
+ * Upload a file's content to the repository's LFS store
+ * onProgress gets a fraction between 0 and 1
+ * Returns { oid, size, pointer } where pointer is the base64 pointer file to commit
+ */
+export async function uploadLfsObject(giteaHost, giteaToken, repoName, file, onProgress = () => {}) {
+  if (file.size > LFS_MAX_FILE_SIZE) {
+    throw new Error(`${file.name} is larger than ${Math.round(LFS_MAX_FILE_SIZE / 1024 / 1024)}MB and can't be uploaded from the browser`);
+  }
+
+  const oid = await sha256Hex(file);
+  const size = file.size;
+  onProgress(0.2);
+
+  const lfsHeaders = {
+    ...getGiteaHeaders(giteaToken),
+    'Accept': LFS_MEDIA_TYPE,
+    'Content-Type': LFS_MEDIA_TYPE
+  };
+
+  const batchResponse = await scheduledFetch(`${giteaHost}/${getRepoFullName(repoName)}.git/info/lfs/objects/batch`, {
+    method: 'POST',
+    headers: lfsHeaders,
+    body: JSON.stringify({
+      operation: 'upload',
+      transfers: ['basic'],
+      objects: [{ oid, size }]
+    })
+  });
+
+  if (!batchResponse.ok) {
+    const errorData = await batchResponse.json().catch(() => ({}));
+    throw new Error(errorData.message || `LFS upload of ${file.name} was refused: ${batchResponse.status} ${batchResponse.statusText}`);
+  }
+
+  const batch = await batchResponse.json();
+  const object = batch.objects?.find(item => item.oid === oid);
+  if (object?.error) {
+    throw new Error(`LFS upload of ${file.name} was refused: ${object.error.message}`);
+  }
+
+  // No upload action means the server already has this content
+  const upload = object?.actions?.upload;
+  if (upload) {
+    const uploadResponse = await scheduledFetch(toHostUrl(giteaHost, upload.href), {
+      method: 'PUT',
+      headers: {
+        'Authorization': `token ${giteaToken}`,
+        'Content-Type': 'application/octet-stream'
+      },
+      body: file
+    });
+    if (!uploadResponse.ok) {
+      throw new Error(`Failed to upload ${file.name}: ${uploadResponse.status} ${uploadResponse.statusText}`);
+    }
+    onProgress(0.9);
+
+    const verify = object.actions.verify;
+    if (verify) {
+      const verifyResponse = await scheduledFetch(toHostUrl(giteaHost, verify.href), {
+        method: 'POST',
+        headers: lfsHeaders,
+        body: JSON.stringify({ oid, size })
+      });
+      if (!verifyResponse.ok) {
+        throw new Error(`The server could not verify ${file.name}: ${verifyResponse.status} ${verifyResponse.statusText}`);
+      }
+    }
+  }
+
+  onProgress(1);
+  console.log(`📦 Stored ${file.name} in LFS (${oid.substring(0, 12)}…)`);
+
+  return { oid, size, pointer: btoa(buildLfsPointer(oid, size)) };
+}
+
+/**
+ * Stored content of an LFS file, /media/ serves it in place of the pointer
+ */
+async function fetchLfsContent(giteaHost, giteaToken, repoName, path, ref) {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/media/${encodedPath}?ref=${encodeURIComponent(ref)}`,
+    { method: 'GET', headers: { 'Authorization': `token ${giteaToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read ${path} from LFS: ${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+/**
+ * Swap a pointer read from the contents API for the stored content
+ * file is { content (base64), sha, size }; sha stays the pointer's blob SHA so saves still detect conflicts
+ */
+export async function resolveLfsContent(giteaHost, giteaToken, repoName, path, ref, file) {
+  if (file.size < POINTER_MIN_SIZE || file.size > POINTER_MAX_SIZE) return file;
+
+  const pointer = parseLfsPointer(atob(file.content));
+  if (!pointer) return file;
+
+  const response = await fetchLfsContent(giteaHost, giteaToken, repoName, path, ref);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  return { ...file, content: bytesToBase64(bytes), size: pointer.size, lfs: pointer };
+}
+
+/**
+ * Store an LFS file of repoName in targetRepoName's LFS store too, before its pointer is committed there
+ * file is { content (base64), size } as read from the contents API, anything but a pointer is left alone
+ */
+export async function copyLfsObject(giteaHost, giteaToken, repoName, targetRepoName, path, ref, file) {
+  if (!isPointerSize(file.size)) return;
+
+  const pointer = parseLfsPointer(atob(file.content));
+  if (!pointer) return;
+
+  const response = await fetchLfsContent(giteaHost, giteaToken, repoName, path, ref);
+  const blob = await response.blob();
+  if (blob.size !== pointer.size) {
+    throw new Error(`Failed to read ${path} from LFS: got ${blob.size} of ${pointer.size} bytes`);
+  }
+  await uploadLfsObject(giteaHost, giteaToken, targetRepoName, new File([blob], path.split('/').pop()));
+}
+
+/**
+ * Mark LFS files among entries that don't say whether they are (lfs undefined, the repository index's pointer-sized
+ * files) and give them their real size
+ * Their folders are listed once each, the contents API reports lfs_oid / lfs_size, no file is read
+ */
+export async function resolveLfsEntries(giteaHost, giteaToken, repoName, entries, ref) {
+  const unknown = entries.filter(entry => entry.type === 'file' && entry.lfs === undefined);
+  const folderPaths = [...new Set(unknown.map(entry => getParentPath(entry.path)))];
+
+  const listings = await Promise.all(folderPaths.map(folderPath =>
+    listFolderEntries(giteaHost, giteaToken, repoName, folderPath, ref).catch(() => [])
+  ));
+  const listedByPath = new Map(listings.flat().map(entry => [entry.path, entry]));
+
+  return entries.map(entry => {
+    const listed = entry.lfs === undefined && listedByPath.get(entry.path);
+    if (!listed || listed.sha !== entry.sha) return entry;
+    return listed.lfs ? { ...entry, size: listed.lfs.size, lfs: listed.lfs } : { ...entry, lfs: null };
+  });
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { resolveLfsEntries } from './gitLfs';
+
+const HOST = 'https://gitea.test';
+const REPO = 'repo';
+
+function file(path, sha, size) {
+  return { name: path.split('/').pop(), path, type: 'file', sha, size, lfs: undefined };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('resolveLfsEntries', () => {
+  it('takes LFS details from the folder listing without reading the files', async () => {
+    const requests = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const { pathname, searchParams } = new URL(url);
+      requests.push(`${pathname}?ref=${searchParams.get('ref')}`);
+      return Response.json([
+        { name: 'scan.pdf', path: 'Exhibits/scan.pdf', type: 'file', sha: 'p1', size: 131, lfs_oid: 'oid1', lfs_size: 52428800 },
+        { name: 'notes.txt', path: 'Exhibits/notes.txt', type: 'file', sha: 'n1', size: 150 }
+      ]);
+    }));
+
+    const entries = await resolveLfsEntries(HOST, 'token', REPO, [
+      file('Exhibits/scan.pdf', 'p1', 131),
+      file('Exhibits/notes.txt', 'n1', 150)
+    ], 'c1');
+
+    expect(entries.map(entry => [entry.path, entry.size, entry.lfs])).toEqual([
+      ['Exhibits/scan.pdf', 52428800, { oid: 'oid1', size: 52428800 }],
+      ['Exhibits/notes.txt', 150, null]
+    ]);
+    expect(requests).toEqual(['/api/v1/repos/associateattorney/repo/contents/Exhibits?ref=c1']);
+  });
+});
@@ -0,0 +1,636 @@
+/**
+ * Gitea File Operations
+ * Write helpers (rename, move, multi-file commits) built on the Gitea contents API
+ */
+
+import { getRepoFullName, getDefaultBranch } from './storageConfig';
+import { scheduledFetch } from './requestScheduler';
+import { copyLfsObject } from './gitLfs';
+
+// Person commits are attributed to, set from the signed-in user
+let commitIdentity = null;
+
+/**
+ * Thrown when a save is based on a version of the file that is no longer current
+ * currentSha is the blob sha now on the branch (null when the file was deleted)
+ */
+export class FileConflictError extends Error {
+  constructor(filePath, currentSha = null) {
+    super(`${filePath} was changed by someone else since you opened it`);
+    this.name = 'FileConflictError';
+    this.filePath = filePath;
+    this.currentSha = currentSha;
+  }
+}
+
+/**
+ * Get Gitea request headers
+ */
+export function getGiteaHeaders(token) {
+  return {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+}
+
+/**
+ * Attribute commits to a Supabase user (null to clear)
+ * Gitea records the user as author and committer (the proxy replaces it with the verified user)
+ */
+export function setCommitIdentity(user) {
+  if (!user?.email) {
+    commitIdentity = null;
+    return;
+  }
+
+  const metadata = user.user_metadata || {};
+  commitIdentity = {
+    name: metadata.full_name || metadata.name || user.email.split('@')[0],
+    email: user.email
+  };
+}
+
+/**
+ * Author and committer fields for a contents API request body ({} when nobody is signed in)
+ */
+export function getCommitIdentity() {
+  return commitIdentity
+    ? { author: { ...commitIdentity }, committer: { ...commitIdentity } }
+    : {};
+}
+
+/**
+ * Normalize a repository path (no leading/trailing slashes, no empty segments)
+ */
+export function normalizePath(path = '') {
+  return path.split('/').filter(part => part.trim() !== '').join('/');
+}
+
+/**
+ * Escape each segment of a repository path for a URL ("Exhibit #3.pdf" would otherwise end at the #)
+ */
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Join a folder path and a name into a repository path
+ */
+export function joinPath(folderPath, name) {
+  const folder = normalizePath(folderPath || '');
+  return folder ? `${folder}/${name}` : name;
+}
+
+/**
+ * Get the parent folder path of a repository path ('' for root level items)
+ */
+export function getParentPath(path) {
+  const normalized = normalizePath(path);
+  const index = normalized.lastIndexOf('/');
+  return index === -1 ? '' : normalized.substring(0, index);
+}
+
+/**
+ * Check whether a path is the given folder or lives somewhere below it
+ */
+export function isSameOrChildPath(path, folderPath) {
+  return path === folderPath || path.startsWith(`${folderPath}/`);
+}
+
+/**
+ * Replace the folder prefix of a path (used when a folder is renamed or moved)
+ */
+export function replacePathPrefix(path, oldPrefix, newPrefix) {
+  if (path === oldPrefix) return newPrefix;
+  if (path.startsWith(`${oldPrefix}/`)) {
+    return `${newPrefix}${path.substring(oldPrefix.length)}`;
+  }
+  return path;
+}
+
+/**
+ * Validate a file or folder name entered by the user
+ * Returns an error message, or null when the name is valid
+ */
+export function validateItemName(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Name cannot be empty';
+  if (trimmed.includes('/') || trimmed.includes('\\')) return 'Name cannot contain slashes';
+  if (trimmed === '.' || trimmed === '..') return 'Invalid name';
+  return null;
+}
+
+/**
+ * Pick a name that doesn't clash with existing names ("report.pdf" -> "report (1).pdf")
+ */
+export function getUniqueName(name, takenNames) {
+  const taken = new Set(takenNames);
+  if (!taken.has(name)) return name;
+
+  const dotIndex = name.lastIndexOf('.');
+  const hasExtension = dotIndex > 0;
+  const base = hasExtension ? name.substring(0, dotIndex) : name;
+  const extension = hasExtension ? name.substring(dotIndex) : '';
+
+  let counter = 1;
+  while (taken.has(`${base} (${counter})${extension}`)) {
+    counter++;
+  }
+  return `${base} (${counter})${extension}`;
+}
+
+/**
+ * Decode base64 content from the contents API as UTF-8 text
+ */
+export function decodeBase64Text(base64) {
+  const binary = atob((base64 || '').replace(/\n/g, ''));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encode UTF-8 text as base64 (btoa alone fails on non-Latin1 characters)
+ */
+export function encodeBase64Text(text) {
+  const bytes = new TextEncoder().encode(text || '');
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Encode bytes as base64, in chunks so large files don't overflow the call stack
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Read a browser File as base64 (without the data: prefix)
+ * onProgress receives a value between 0 and 1
+ */
+export function readFileAsBase64(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onprogress = (event) => {
+      if (onProgress && event.lengthComputable) {
+        onProgress(event.loaded / event.total);
+      }
+    };
+    reader.onload = () => resolve(reader.result.split(',')[1] || '');
+    reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * List the direct children of a folder ([] when the folder doesn't exist yet)
+ * lfs is { oid, size } when Gitea reports the file as an LFS pointer (newer versions only)
+ * options.signal aborts the request
+ */
+export async function listFolderEntries(giteaHost, giteaToken, repoName, folderPath, ref = getDefaultBranch(repoName), options = {}) {
+  const apiPath = folderPath ? `/${encodePath(folderPath)}` : '';
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents${apiPath}?ref=${encodeURIComponent(ref)}`;
+
+  const response = await scheduledFetch(url, {
+    method: 'GET',
+    headers: getGiteaHeaders(giteaToken),
+    signal: options.signal
+  });
+
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`Failed to list ${folderPath || 'root'}: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return (Array.isArray(data) ? data : []).map(item => ({
+    name: item.name,
+    path: item.path,
+    type: item.type,
+    sha: item.sha,
+    size: item.size,
+    lfs: item.lfs_oid ? { oid: item.lfs_oid, size: item.lfs_size } : null
+  }));
+}
+
+/**
+ * Get a file's base64 content and blob SHA from the contents API
+ * Gitea leaves content out for blobs over its API.DefaultMaxBlobSize (10MB by default), those are read from /media/
+ */
+export async function getFileContent(giteaHost, giteaToken, repoName, filePath, ref = getDefaultBranch(repoName)) {
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`;
+
+  const response = await scheduledFetch(url, {
+    method: 'GET',
+    headers: getGiteaHeaders(giteaToken)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to read ${filePath}: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (data.content == null && data.size > 0) {
+    return { content: await readBlobContent(giteaHost, giteaToken, repoName, filePath, ref, data.size), sha: data.sha, size: data.size };
+  }
+  return {
+    content: (data.content || '').replace(/\n/g, ''),
+    sha: data.sha,
+    size: data.size
+  };
+}
+
+/**
+ * Blob SHA and size of a file, without reading a large file's content
+ */
+export async function getFileInfo(giteaHost, giteaToken, repoName, filePath, ref = getDefaultBranch(repoName)) {
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`;
+
+  const response = await scheduledFetch(url, {
+    method: 'GET',
+    headers: getGiteaHeaders(giteaToken)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to read ${filePath}: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return { sha: data.sha, size: data.size };
+}
+
+/**
+ * Base64 content of a file too large for the contents API
+ * Such files are never LFS pointers, so /media/ returns the blob as stored
+ */
+async function readBlobContent(giteaHost, giteaToken, repoName, filePath, ref, size) {
+  const response = await scheduledFetch(
+    `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/media/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`,
+    { method: 'GET', headers: { 'Authorization': `token ${giteaToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to read ${filePath}: ${response.status} ${response.statusText}`);
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Never hand back less than the file holds, callers write it to another path
+  if (bytes.length !== size) {
+    throw new Error(`Failed to read ${filePath}: got ${bytes.length} of ${size} bytes`);
+  }
+  return bytesToBase64(bytes);
+}
+
+/**
+ * Check whether a file or folder exists at the given path
+ */
+export async function pathExists(giteaHost, giteaToken, repoName, path, ref = getDefaultBranch(repoName)) {
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`;
+
+  const response = await scheduledFetch(url, {
+    method: 'GET',
+    headers: getGiteaHeaders(giteaToken)
+  });
+
+  if (response.status === 404) return false;
+  if (!response.ok) {
+    throw new Error(`Failed to check ${path}: ${response.status} ${response.statusText}`);
+  }
+  return true;
+}
+
+/**
+ * List every file below a folder (recursively) with its blob SHA
+ * Subfolders are listed in parallel, options.signal aborts the walk
+ */
+export async function listFilesRecursive(giteaHost, giteaToken, repoName, folderPath, ref = getDefaultBranch(repoName), options = {}) {
+  const apiPath = folderPath ? `/${encodePath(folderPath)}` : '';
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents${apiPath}?ref=${encodeURIComponent(ref)}`;
+
+  const response = await scheduledFetch(url, {
+    method: 'GET',
+    headers: getGiteaHeaders(giteaToken),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to list ${folderPath || 'root'}: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const items = Array.isArray(data) ? data : [data];
+  const allFiles = items
+    .filter(item => item.type === 'file')
+    .map(item => ({ name: item.name, path: item.path, sha: item.sha, size: item.size }));
+
+  const subFolderFiles = await Promise.all(
+    items
+      .filter(item => item.type === 'dir')
+      .map(item => listFilesRecursive(giteaHost, giteaToken, repoName, item.path, ref, options))
+  );
+  subFolderFiles.forEach(files => allFiles.push(...files));
+
+  return allFiles;
+}
+
+/**
+ * List every file and folder of a commit with the recursive git trees endpoint
+ * Gitea pages large trees, the pages are requested until the tree is complete
+ * Returns [{ path, type: 'file' | 'dir', sha, size }], submodules are left out
+ */
+export async function listRepositoryTree(giteaHost, giteaToken, repoName, sha, options = {}) {
+  const entries = [];
+  const perPage = 1000;
+
+  for (let page = 1; ; page++) {
+    const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/git/trees/${encodeURIComponent(sha)}?recursive=true&per_page=${perPage}&page=${page}`;
+    const response = await scheduledFetch(url, {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to read the tree of ${sha}: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const tree = data.tree || [];
+    for (const item of tree) {
+      if (item.type !== 'blob' && item.type !== 'tree') continue;
+      entries.push({
+        path: item.path,
+        type: item.type === 'tree' ? 'dir' : 'file',
+        sha: item.sha,
+        size: item.type === 'blob' ? item.size || 0 : 0
+      });
+    }
+
+    const complete = !data.truncated || tree.length === 0 || (data.total_count && page * perPage >= data.total_count);
+    if (complete) break;
+  }
+
+  return entries;
+}
+
+/**
+ * Commit several file changes at once using Gitea's multi-file contents endpoint
+ * Each change is { operation: 'create' | 'update' | 'delete', path, content?, sha?, from_path? }
+ * Returns the API response ({ files, commit })
+ */
+export async function commitFileChanges(giteaHost, giteaToken, repoName, changes, message, branch = getDefaultBranch(repoName)) {
+  if (!changes || changes.length === 0) {
+    throw new Error('No changes to commit');
+  }
+
+  const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents`;
+
+  const response = await scheduledFetch(url, {
+    method: 'POST',
+    headers: getGiteaHeaders(giteaToken),
+    body: JSON.stringify({
+      branch,
+      message,
+      files: changes,
+      ...getCommitIdentity()
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Commit failed: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Save new content over a file, but only if it is still at expectedSha
+ * content is base64; a stale sha (or a 409 from Gitea) throws FileConflictError
+ * Returns { commitSha, sha, size }
+ */
+export async function saveFileContent(giteaHost, giteaToken, repoName, filePath, content, expectedSha, message, branch = getDefaultBranch(repoName)) {
+  let currentSha = null;
+  try {
+    currentSha = (await getFileInfo(giteaHost, giteaToken, repoName, filePath, branch)).sha;
+  } catch (error) {
+    // Deleted since it was opened, treated as a conflict below
+  }
+
+  if (currentSha !== expectedSha) {
+    throw new FileConflictError(filePath, currentSha);
+  }
+
+  const fileName = filePath.split('/').pop();
+  const response = await scheduledFetch(`${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents/${encodePath(filePath)}`, {
+    method: 'PUT',
+    headers: getGiteaHeaders(giteaToken),
+    body: JSON.stringify({
+      branch,
+      message: message || `Update ${fileName}`,
+      content,
+      sha: expectedSha,
+      ...getCommitIdentity()
+    })
+  });
+
+  // Someone committed between the check and the write
+  if (response.status === 409) {
+    const latest = await getFileInfo(giteaHost, giteaToken, repoName, filePath, branch).catch(() => null);
+    throw new FileConflictError(filePath, latest?.sha || null);
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Save failed: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+
+  console.log(`💾 Saved ${filePath}`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    sha: result?.content?.sha || null,
+    size: result?.content?.size ?? null
+  };
+}
+
+/**
+ * Validate a move and build the multi-file changes for it
+ */
+async function buildMoveChanges(giteaHost, giteaToken, repoName, item, newPath, branch) {
+  const oldPath = normalizePath(item.path);
+  const targetPath = normalizePath(newPath);
+
+  if (!targetPath) {
+    throw new Error('Destination path cannot be empty');
+  }
+  if (oldPath === targetPath) {
+    throw new Error('Destination is the same as the current location');
+  }
+  if (item.type === 'dir' && isSameOrChildPath(targetPath, oldPath)) {
+    throw new Error('A folder cannot be moved into itself');
+  }
+  if (await pathExists(giteaHost, giteaToken, repoName, targetPath, branch)) {
+    throw new Error(`"${targetPath}" already exists`);
+  }
+
+  // Collect every blob that has to move
+  const sourceFiles = item.type === 'dir'
+    ? await listFilesRecursive(giteaHost, giteaToken, repoName, oldPath, branch)
+    : [{ name: item.name, path: oldPath, sha: item.sha }];
+
+  if (sourceFiles.length === 0) {
+    throw new Error(`Nothing to move in "${oldPath}"`);
+  }
+
+  // The multi-file endpoint needs the content for each renamed blob
+  const changes = [];
+  for (const file of sourceFiles) {
+    const { content, sha } = await getFileContent(giteaHost, giteaToken, repoName, file.path, branch);
+    changes.push({
+      operation: 'update',
+      from_path: file.path,
+      path: replacePathPrefix(file.path, oldPath, targetPath),
+      sha: file.sha || sha,
+      content
+    });
+  }
+
+  return { oldPath, newPath: targetPath, changes };
+}
+
+/**
+ * Rename or move a file or folder in a single commit
+ * item is { type: 'file' | 'dir', path, name, sha? }
+ * Returns { commitSha, oldPath, newPath, movedFiles }
+ */
+export async function movePath(giteaHost, giteaToken, repoName, item, newPath, message, branch = getDefaultBranch(repoName)) {
+  const move = await buildMoveChanges(giteaHost, giteaToken, repoName, item, newPath, branch);
+
+  const commitMessage = message || `Move ${move.oldPath} to ${move.newPath}`;
+  const result = await commitFileChanges(giteaHost, giteaToken, repoName, move.changes, commitMessage, branch);
+
+  console.log(`📦 Moved ${move.changes.length} file(s) from ${move.oldPath} to ${move.newPath}`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    oldPath: move.oldPath,
+    newPath: move.newPath,
+    movedFiles: move.changes.map(change => ({ from: change.from_path, to: change.path }))
+  };
+}
+
+/**
+ * Move several files and folders into one destination folder in a single commit
+ * Returns { commitSha, moves: [{ oldPath, newPath }] }
+ */
+export async function movePaths(giteaHost, giteaToken, repoName, items, destinationFolder, message, branch = getDefaultBranch(repoName)) {
+  const names = items.map(item => item.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`More than one selected item is named "${duplicate}"`);
+  }
+
+  const moves = [];
+  for (const item of items) {
+    moves.push(await buildMoveChanges(giteaHost, giteaToken, repoName, item, joinPath(destinationFolder, item.name), branch));
+  }
+
+  const changes = moves.flatMap(move => move.changes);
+  const commitMessage = message || `Move ${items.length} items to ${destinationFolder || 'root'}`;
+  const result = await commitFileChanges(giteaHost, giteaToken, repoName, changes, commitMessage, branch);
+
+  console.log(`📦 Moved ${items.length} item(s) (${changes.length} file(s)) to ${destinationFolder || 'root'}`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    moves: moves.map(move => ({ oldPath: move.oldPath, newPath: move.newPath }))
+  };
+}
+
+/**
+ * Delete several files in a single commit
+ * files are { path, sha } (folders are deleted by deleting every file in them)
+ * Returns { commitSha, deletedPaths }
+ */
+export async function deletePaths(giteaHost, giteaToken, repoName, files, message, branch = getDefaultBranch(repoName)) {
+  const changes = files.map(file => ({
+    operation: 'delete',
+    path: file.path,
+    sha: file.sha
+  }));
+
+  const result = await commitFileChanges(giteaHost, giteaToken, repoName, changes, message, branch);
+
+  console.log(`🗑️ Deleted ${changes.length} file(s)`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    deletedPaths: changes.map(change => change.path)
+  };
+}
+
+/**
+ * Copy a file or folder to a new path in a single commit
+ * targetRepoName defaults to the source repository, branch is the target branch and sourceRef where the item is read from
+ * Returns { commitSha, sourcePath, newPath, copiedFiles }
+ */
+export async function copyPath(giteaHost, giteaToken, repoName, item, newPath, message, targetRepoName = repoName, branch = getDefaultBranch(targetRepoName), sourceRef = branch) {
+  const sourcePath = normalizePath(item.path);
+  const targetPath = normalizePath(newPath);
+
+  if (!targetPath) {
+    throw new Error('Destination path cannot be empty');
+  }
+  if (targetRepoName === repoName && item.type === 'dir' && isSameOrChildPath(targetPath, sourcePath)) {
+    throw new Error('A folder cannot be copied into itself');
+  }
+  if (await pathExists(giteaHost, giteaToken, targetRepoName, targetPath, branch)) {
+    throw new Error(`"${targetPath}" already exists`);
+  }
+
+  const sourceFiles = item.type === 'dir'
+    ? await listFilesRecursive(giteaHost, giteaToken, repoName, sourcePath, sourceRef)
+    : [{ name: item.name, path: sourcePath }];
+
+  if (sourceFiles.length === 0) {
+    throw new Error(`Nothing to copy in "${sourcePath}"`);
+  }
+
+  const changes = [];
+  for (const file of sourceFiles) {
+    const { content, size } = await getFileContent(giteaHost, giteaToken, repoName, file.path, sourceRef);
+    // Each repository has its own LFS store, the pointer only works there once the object is
+    if (targetRepoName !== repoName) {
+      await copyLfsObject(giteaHost, giteaToken, repoName, targetRepoName, file.path, sourceRef, { content, size });
+    }
+    changes.push({
+      operation: 'create',
+      path: replacePathPrefix(file.path, sourcePath, targetPath),
+      content
+    });
+  }
+
+  const commitMessage = message || `Copy ${sourcePath} to ${targetPath}`;
+  const result = await commitFileChanges(giteaHost, giteaToken, targetRepoName, changes, commitMessage, branch);
+
+  console.log(`📋 Copied ${changes.length} file(s) from ${repoName}/${sourcePath} to ${targetRepoName}/${targetPath}`);
+
+  return {
+    commitSha: result?.commit?.sha || null,
+    sourcePath,
+    newPath: targetPath,
+    copiedFiles: changes.map(change => change.path)
+  };
+}
@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { getFileContent, saveFileContent, listFolderEntries, pathExists, movePath, copyPath, bytesToBase64, FileConflictError } from './giteaFileOperations';
+import { buildLfsPointer } from './gitLfs';
+import { HOST, OWNER, apiPath, fakeGitea } from '../test/fakeGitea';
+
+const REPO = 'repo';
+const BYTES = new TextEncoder().encode('large scanned exhibit');
+
+// A repository holding big.pdf, too large for the contents API to include
+function largeFileRoutes({ mediaBytes = BYTES } = {}) {
+  return {
+    [`GET ${apiPath(REPO, '/contents/big.pdf')}`]: () =>
+      Response.json({ name: 'big.pdf', path: 'big.pdf', type: 'file', sha: 'blob-sha', size: BYTES.length, content: null }),
+    [`GET ${apiPath(REPO, '/media/big.pdf')}`]: () => new Response(mediaBytes)
+  };
+}
+
+// Filings/motion.pdf and Filings/Exhibits/a.pdf, small enough for the contents API to include
+function folderRoutes() {
+  const fileResponse = (path, sha) => () =>
+    Response.json({ name: path.split('/').pop(), path, type: 'file', sha, size: 4, content: btoa(sha) });
+  return {
+    [`GET ${apiPath(REPO, '/contents/Filings')}`]: () => Response.json([
+      { name: 'motion.pdf', path: 'Filings/motion.pdf', type: 'file', sha: 'm1', size: 4 },
+      { name: 'Exhibits', path: 'Filings/Exhibits', type: 'dir', sha: 'd1', size: 0 }
+    ]),
+    [`GET ${apiPath(REPO, '/contents/Filings/Exhibits')}`]: () => Response.json([
+      { name: 'a.pdf', path: 'Filings/Exhibits/a.pdf', type: 'file', sha: 'a1', size: 4 }
+    ]),
+    [`GET ${apiPath(REPO, '/contents/Filings/motion.pdf')}`]: fileResponse('Filings/motion.pdf', 'm1'),
+    [`GET ${apiPath(REPO, '/contents/Filings/Exhibits/a.pdf')}`]: fileResponse('Filings/Exhibits/a.pdf', 'a1'),
+    [`GET ${apiPath(REPO, '/contents/Archive')}`]: () => Response.json([])
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('getFileContent', () => {
+  it('reads blobs the contents API leaves out from /media/', async () => {
+    fakeGitea(largeFileRoutes());
+
+    const file = await getFileContent(HOST, 'token', REPO, 'big.pdf');
+
+    expect(file).toEqual({ content: bytesToBase64(BYTES), sha: 'blob-sha', size: BYTES.length });
+  });
+
+  it('fails rather than return part of a blob', async () => {
+    fakeGitea(largeFileRoutes({ mediaBytes: BYTES.subarray(0, 4) }));
+
+    await expect(getFileContent(HOST, 'token', REPO, 'big.pdf')).rejects.toThrow('got 4 of');
+  });
+});
+
+describe('paths', () => {
+  it('escapes names that would break the URL', async () => {
+    const exhibit = { name: 'Exhibit #3.pdf', path: 'Case 12/Exhibit #3.pdf', type: 'file', sha: 'e3', size: 2, content: btoa('e3') };
+    fakeGitea({
+      [`GET ${apiPath(REPO, '/contents/Case%2012')}`]: () => Response.json([exhibit]),
+      [`GET ${apiPath(REPO, '/contents/Case%2012/Exhibit%20%233.pdf')}`]: () => Response.json(exhibit),
+      [`PUT ${apiPath(REPO, '/contents/Case%2012/Exhibit%20%233.pdf')}`]: () => Response.json({ commit: { sha: 'saved' }, content: { sha: 'e4', size: 2 } })
+    });
+
+    expect((await listFolderEntries(HOST, 'token', REPO, 'Case 12')).map(entry => entry.path)).toEqual(['Case 12/Exhibit #3.pdf']);
+    expect(await pathExists(HOST, 'token', REPO, 'Case 12/Exhibit #3.pdf')).toBe(true);
+    expect((await getFileContent(HOST, 'token', REPO, 'Case 12/Exhibit #3.pdf')).sha).toBe('e3');
+    expect((await saveFileContent(HOST, 'token', REPO, 'Case 12/Exhibit #3.pdf', btoa('e4'), 'e3')).sha).toBe('e4');
+  });
+});
+
+describe('saveFileContent', () => {
+  it('checks a large file for conflicts without downloading it', async () => {
+    const { requests } = fakeGitea({
+      ...largeFileRoutes(),
+      [`PUT ${apiPath(REPO, '/contents/big.pdf')}`]: () => Response.json({ commit: { sha: 'saved' }, content: { sha: 'new-sha', size: 3 } })
+    });
+
+    const result = await saveFileContent(HOST, 'token', REPO, 'big.pdf', btoa('new'), 'blob-sha', 'Update big.pdf');
+
+    expect(result).toEqual({ commitSha: 'saved', sha: 'new-sha', size: 3 });
+    expect(requests.some(request => request.pathname.includes('/media/'))).toBe(false);
+  });
+
+  it('reports a file changed since it was opened', async () => {
+    fakeGitea(largeFileRoutes());
+
+    const save = saveFileContent(HOST, 'token', REPO, 'big.pdf', btoa('new'), 'old-sha', 'Update big.pdf');
+
+    await expect(save).rejects.toBeInstanceOf(FileConflictError);
+    await expect(save).rejects.toMatchObject({ currentSha: 'blob-sha' });
+  });
+});
+
+describe('movePath', () => {
+  it('moves every file of a folder in one commit', async () => {
+    const gitea = fakeGitea(folderRoutes());
+
+    const result = await movePath(HOST, 'token', REPO, { type: 'dir', name: 'Filings', path: 'Filings' }, 'Old/Filings');
+
+    expect(gitea.commits).toHaveLength(1);
+    expect(gitea.commits[0].files).toEqual([
+      { operation: 'update', from_path: 'Filings/motion.pdf', path: 'Old/Filings/motion.pdf', sha: 'm1', content: btoa('m1') },
+      { operation: 'update', from_path: 'Filings/Exhibits/a.pdf', path: 'Old/Filings/Exhibits/a.pdf', sha: 'a1', content: btoa('a1') }
+    ]);
+    expect(result).toMatchObject({ commitSha: 'new-commit', oldPath: 'Filings', newPath: 'Old/Filings' });
+  });
+
+  it('refuses to move a folder into itself', async () => {
+    const gitea = fakeGitea(folderRoutes());
+
+    await expect(movePath(HOST, 'token', REPO, { type: 'dir', name: 'Filings', path: 'Filings' }, 'Filings/Exhibits/Filings'))
+      .rejects.toThrow('cannot be moved into itself');
+    expect(gitea.commits).toEqual([]);
+  });
+
+  it('refuses to overwrite an existing path', async () => {
+    const gitea = fakeGitea(folderRoutes());
+
+    await expect(movePath(HOST, 'token', REPO, { type: 'file', name: 'motion.pdf', path: 'Filings/motion.pdf', sha: 'm1' }, 'Archive'))
+      .rejects.toThrow('"Archive" already exists');
+    expect(gitea.commits).toEqual([]);
+  });
+
+  it('keeps the content of a file too large for the contents API', async () => {
+    const gitea = fakeGitea(largeFileRoutes());
+
+    await movePath(HOST, 'token', REPO, { type: 'file', name: 'big.pdf', path: 'big.pdf', sha: 'blob-sha' }, 'Exhibits/big.pdf');
+
+    expect(gitea.commits[0].files).toEqual([
+      { operation: 'update', from_path: 'big.pdf', path: 'Exhibits/big.pdf', sha: 'blob-sha', content: bytesToBase64(BYTES) }
+    ]);
+  });
+});
+
+describe('copyPath', () => {
+  it('copies every file of a folder in one commit', async () => {
+    const gitea = fakeGitea(folderRoutes());
+
+    const result = await copyPath(HOST, 'token', REPO, { type: 'dir', name: 'Filings', path: 'Filings' }, 'Filings copy');
+
+    expect(gitea.commits[0].files).toEqual([
+      { operation: 'create', path: 'Filings copy/motion.pdf', content: btoa('m1') },
+      { operation: 'create', path: 'Filings copy/Exhibits/a.pdf', content: btoa('a1') }
+    ]);
+    expect(result.copiedFiles).toEqual(['Filings copy/motion.pdf', 'Filings copy/Exhibits/a.pdf']);
+  });
+
+  it('refuses to copy a folder into itself', async () => {
+    const gitea = fakeGitea(folderRoutes());
+
+    await expect(copyPath(HOST, 'token', REPO, { type: 'dir', name: 'Filings', path: 'Filings' }, 'Filings/Exhibits/Filings'))
+      .rejects.toThrow('cannot be copied into itself');
+    expect(gitea.commits).toEqual([]);
+  });
+
+  it('copies the content of a file too large for the contents API', async () => {
+    const gitea = fakeGitea(largeFileRoutes());
+
+    await copyPath(HOST, 'token', REPO, { type: 'file', name: 'big.pdf', path: 'big.pdf' }, 'big copy.pdf');
+
+    expect(gitea.commits[0].repo).toBe(REPO);
+    expect(gitea.commits[0].files).toEqual([{ operation: 'create', path: 'big copy.pdf', content: bytesToBase64(BYTES) }]);
+  });
+
+  it('uploads an LFS file to the other workspace before committing its pointer there', async () => {
+    const oid = createHash('sha256').update(BYTES).digest('hex');
+    const pointer = btoa(buildLfsPointer(oid, BYTES.length));
+    const uploads = [];
+    const gitea = fakeGitea({
+      [`GET ${apiPath(REPO, '/contents/scan.pdf')}`]: () =>
+        Response.json({ name: 'scan.pdf', path: 'scan.pdf', type: 'file', sha: 'pointer-sha', size: atob(pointer).length, content: pointer }),
+      [`GET ${apiPath(REPO, '/media/scan.pdf')}`]: () => new Response(BYTES),
+      [`POST /${OWNER}/other-repo.git/info/lfs/objects/batch`]: () => Response.json({
+        objects: [{ oid, size: BYTES.length, actions: { upload: { href: `/${OWNER}/other-repo.git/info/lfs/objects/${oid}/${BYTES.length}` } } }]
+      }),
+      [`PUT /${OWNER}/other-repo.git/info/lfs/objects/${oid}/${BYTES.length}`]: async ({ body }) => {
+        uploads.push(new Uint8Array(await body.arrayBuffer()));
+        return new Response(null, { status: 200 });
+      }
+    });
+
+    await copyPath(HOST, 'token', REPO, { type: 'file', name: 'scan.pdf', path: 'scan.pdf' }, 'scan.pdf', null, 'other-repo');
+
+    expect(uploads).toEqual([BYTES]);
+    expect(gitea.commits[0].repo).toBe('other-repo');
+    expect(gitea.commits[0].files).toEqual([{ operation: 'create', path: 'scan.pdf', content: pointer }]);
+  });
+
+  it('copies it to another workspace', async () => {
+    const gitea = fakeGitea(largeFileRoutes());
+
+    await copyPath(HOST, 'token', REPO, { type: 'file', name: 'big.pdf', path: 'big.pdf' }, 'Exhibits/big.pdf', null, 'other-repo');
+
+    expect(gitea.commits[0].repo).toBe('other-repo');
+    expect(gitea.commits[0].files).toEqual([{ operation: 'create', path: 'Exhibits/big.pdf', content: bytesToBase64(BYTES) }]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Gitea Session
+ * The browser reaches Gitea through the proxy in server/giteaProxy.mjs and never holds the Gitea token.
+ * Requests carry the signed-in user's Supabase access token, or the share token on shared folder links.
+ */
+
+import { supabase } from '@aiworkspace/shared-header';
+
+let accessToken = null;
+let shareToken = null;
+
+/**
+ * Keep the Supabase access token of the signed-in user (null when signed out)
+ */
+export function setAccessToken(token) {
+  accessToken = token || null;
+}
+
+/**
+ * Follow the Supabase session so requests always carry a fresh access token
+ * The shared header configures the client asynchronously, so wait for it like the views do
+ */
+export async function watchSupabaseSession(retryCount = 0) {
+  if (!supabase) {
+    if (retryCount < 10) {
+      setTimeout(() => watchSupabaseSession(retryCount + 1), 100 * (retryCount + 1));
+    } else {
+      console.error('Supabase client not initialized, Gitea requests will not be authenticated');
+    }
+    return;
+  }
+
+  const { data } = await supabase.auth.getSession();
+  setAccessToken(data.session?.access_token);
+
+  supabase.auth.onAuthStateChange((event, session) => {
+    setAccessToken(session?.access_token);
+  });
+}
+
+/**
+ * Use a folder share token instead of the user's session (null to stop)
+ */
+export function setShareToken(token) {
+  shareToken = token || null;
+}
+
+/**
+ * Credential the proxy accepts in place of the Gitea token ("token <credential>" header)
+ */
+export function getGiteaToken() {
+  if (shareToken) {
+    return `share:${shareToken}`;
+  }
+  return accessToken || '';
+}
+
+/**
+ * Headers for fetching raw file URLs, which no longer carry a ?token= query
+ */
+export function getRawRequestHeaders() {
+  const token = getGiteaToken();
+  return token ? { 'Authorization': `token ${token}` } : {};
+}
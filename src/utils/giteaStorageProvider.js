@@ -0,0 +1,103 @@
+/**
+ * Gitea Storage Provider
+ * The storage interface on top of the existing Gitea helpers
+ */
+
+import {
+  listFolderEntries,
+  listFilesRecursive,
+  listRepositoryTree,
+  getFileContent,
+  pathExists,
+  commitFileChanges,
+  saveFileContent,
+  deletePaths,
+  movePath,
+  movePaths,
+  copyPath
+} from './giteaFileOperations';
+import { getFileHistory, getLastEditors, restoreFileVersion } from './fileHistory';
+import { getLatestCommitSha } from './repositoryCache';
+import { getGiteaToken } from './giteaSession';
+import { uploadLfsObject, resolveLfsEntries, resolveLfsContent } from './gitLfs';
+
+/**
+ * Create a provider for one Gitea repository
+ * config is { owner, repo, defaultBranch } from storageConfig
+ */
+export function createGiteaStorageProvider(config) {
+  const { owner, repo, defaultBranch } = config;
+  const host = () => import.meta.env.VITE_GITEA_HOST;
+
+  return {
+    name: 'gitea',
+    repo,
+    defaultBranch,
+    capabilities: { drafts: true, snapshots: true, trash: true, lfs: true, liveUpdates: true },
+
+    // The contents API marks LFS files itself (lfs_oid / lfs_size)
+    list: (folderPath, ref = defaultBranch, options = {}) =>
+      listFolderEntries(host(), getGiteaToken(), repo, folderPath, ref, options),
+
+    listRecursive: (folderPath, ref = defaultBranch, options = {}) =>
+      listFilesRecursive(host(), getGiteaToken(), repo, folderPath, ref, options),
+
+    listTree: (commitSha, options = {}) =>
+      listRepositoryTree(host(), getGiteaToken(), repo, commitSha, options),
+
+    resolveLfs: (entries, ref = defaultBranch) =>
+      resolveLfsEntries(host(), getGiteaToken(), repo, entries, ref),
+
+    async read(path, ref = defaultBranch) {
+      const file = await getFileContent(host(), getGiteaToken(), repo, path, ref);
+      return resolveLfsContent(host(), getGiteaToken(), repo, path, ref, file);
+    },
+
+    exists: (path, ref = defaultBranch) =>
+      pathExists(host(), getGiteaToken(), repo, path, ref),
+
+    // /media/ serves LFS content for pointer files and the raw file otherwise
+    getRawUrl(path, ref = defaultBranch, refType = 'branch') {
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+      return `${host()}/${owner}/${repo}/media/${refType}/${ref}/${encodedPath}`;
+    },
+
+    uploadLargeFile: (file, onProgress) =>
+      uploadLfsObject(host(), getGiteaToken(), repo, file, onProgress),
+
+    async commit(changes, message, branch = defaultBranch) {
+      const result = await commitFileChanges(host(), getGiteaToken(), repo, changes, message, branch);
+      return {
+        commitSha: result?.commit?.sha || null,
+        files: (result?.files || []).filter(Boolean).map(file => ({ path: file.path, sha: file.sha, size: file.size }))
+      };
+    },
+
+    save: (path, content, expectedSha, message, branch = defaultBranch) =>
+      saveFileContent(host(), getGiteaToken(), repo, path, content, expectedSha, message, branch),
+
+    deletePaths: (files, message, branch = defaultBranch) =>
+      deletePaths(host(), getGiteaToken(), repo, files, message, branch),
+
+    movePath: (item, newPath, message, branch = defaultBranch) =>
+      movePath(host(), getGiteaToken(), repo, item, newPath, message, branch),
+
+    movePaths: (items, destinationFolder, message, branch = defaultBranch) =>
+      movePaths(host(), getGiteaToken(), repo, items, destinationFolder, message, branch),
+
+    copyPath: (item, newPath, message, targetRepoName = repo, branch, sourceRef) =>
+      copyPath(host(), getGiteaToken(), repo, item, newPath, message, targetRepoName, branch, sourceRef),
+
+    history: (path, options = {}) =>
+      getFileHistory(host(), getGiteaToken(), repo, path, { ref: defaultBranch, ...options }),
+
+    restoreVersion: (path, commitSha, message, branch = defaultBranch) =>
+      restoreFileVersion(host(), getGiteaToken(), repo, path, commitSha, message, branch),
+
+    lastEditors: (folderPath, childPaths, options = {}) =>
+      getLastEditors(host(), getGiteaToken(), repo, folderPath, childPaths, { ref: defaultBranch, ...options }),
+
+    getCommitSha: (branch = defaultBranch) =>
+      getLatestCommitSha(host(), getGiteaToken(), repo, branch)
+  };
+}
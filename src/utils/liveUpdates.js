@@ -0,0 +1,235 @@
+/**
+ * Live Updates
+ * Notices when a repository's live branch moves on while it's open (a teammate committed) and applies the changes
+ *
+ * The branch head is polled every VITE_LIVE_UPDATE_INTERVAL seconds (default 30, 0 turns polling off) while the tab
+ * is visible. With VITE_LIVE_UPDATE_EVENTS=true the Gitea proxy's event stream announces pushes as Gitea reports
+ * them through its webhook, and polling only runs while the stream is down.
+ */
+
+import { getRepoFullName, getDefaultBranch } from './storageConfig';
+import { getGiteaToken } from './giteaSession';
+import { getCommitIdentity, getParentPath } from './giteaFileOperations';
+import { syncRepositoryCache } from './repositoryCache';
+
+const POLL_INTERVAL = Number(import.meta.env.VITE_LIVE_UPDATE_INTERVAL ?? 30) * 1000;
+const USE_EVENTS = import.meta.env.VITE_LIVE_UPDATE_EVENTS === 'true';
+// Waits before opening the event stream again, the last one is used from then on
+const RECONNECT_DELAYS = [2000, 5000, 15000, 60000];
+
+// Statuses Gitea reports for a commit's files, and what they mean here
+const CHANGE_ACTIONS = {
+  added: 'added',
+  modified: 'updated',
+  changed: 'updated',
+  renamed: 'moved',
+  removed: 'removed',
+  deleted: 'removed'
+};
+
+const ACTION_LABELS = {
+  added: 'added to',
+  updated: 'updated in',
+  moved: 'moved to',
+  removed: 'removed from'
+};
+
+/**
+ * Read the proxy's event stream until it ends, calling onEvent with (event, data)
+ * fetch rather than EventSource, which can't send the Authorization header
+ */
+async function readEventStream(repoName, signal, onOpen, onEvent) {
+  const response = await fetch(`${import.meta.env.VITE_GITEA_HOST}/events/${getRepoFullName(repoName)}`, {
+    headers: { 'Authorization': `token ${getGiteaToken()}`, 'Accept': 'text/event-stream' },
+    signal
+  });
+  if (!response.ok || !response.body) {
+    throw new Error(`Event stream failed: ${response.status}`);
+  }
+  onOpen();
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += value;
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.substring(6).trim();
+        if (line.startsWith('data:')) data += line.substring(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+/**
+ * Watch a repository's live branch, onUpdate gets the syncRepositoryCache() result whenever it moved on
+ * Returns a function that stops watching
+ */
+export function watchRepository(repoName, onUpdate) {
+  const controller = new AbortController();
+  let pollTimer = null;
+  let streamOpen = false;
+  let checking = null;
+  let checkAgain = false;
+
+  async function check() {
+    if (controller.signal.aborted || document.hidden) return;
+    // A push during a check is looked at once the check is done
+    if (checking) {
+      checkAgain = true;
+      return;
+    }
+
+    checking = syncRepositoryCache(import.meta.env.VITE_GITEA_HOST, getGiteaToken(), repoName);
+    try {
+      const result = await checking;
+      if (result && !controller.signal.aborted) {
+        onUpdate(result);
+      }
+    } catch (error) {
+      console.warn(`Failed to check ${repoName} for new commits:`, error);
+    } finally {
+      checking = null;
+    }
+
+    if (checkAgain) {
+      checkAgain = false;
+      check();
+    }
+  }
+
+  function schedulePoll() {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    if (POLL_INTERVAL > 0 && !streamOpen && !document.hidden && !controller.signal.aborted) {
+      pollTimer = setTimeout(async () => {
+        await check();
+        schedulePoll();
+      }, POLL_INTERVAL);
+    }
+  }
+
+  // Hidden tabs don't poll, they catch up as soon as they're shown
+  function handleVisibilityChange() {
+    if (!document.hidden) check();
+    schedulePoll();
+  }
+
+  async function listen(attempt = 0) {
+    try {
+      await readEventStream(repoName, controller.signal, () => {
+        attempt = 0;
+        streamOpen = true;
+        schedulePoll();
+        // Pushes made while the stream was down aren't sent again
+        check();
+      }, (event, data) => {
+        if (event === 'push' && data.ref === getDefaultBranch(repoName)) check();
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.warn(`Live updates of ${repoName} are polled, the event stream is unavailable:`, error.message);
+    }
+    if (controller.signal.aborted) return;
+
+    streamOpen = false;
+    schedulePoll();
+    setTimeout(() => listen(attempt + 1), RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]);
+  }
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  schedulePoll();
+  if (USE_EVENTS) listen();
+
+  return () => {
+    controller.abort();
+    clearTimeout(pollTimer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
+
+function getAuthorName(commit) {
+  return commit.commit?.author?.name || commit.author?.full_name || commit.author?.login || 'someone';
+}
+
+/**
+ * What other people changed in a compare result (getCommitChanges), grouped by folder and action
+ * Returns [{ folderPath, action: 'added' | 'updated' | 'moved' | 'removed', paths, authors }], biggest first
+ * Commits by the signed-in user are left out, they were made here or in another of their tabs
+ */
+export function describeCommitChanges(changes) {
+  const ownEmail = getCommitIdentity().author?.email;
+  const commits = changes.commits.filter(commit => !ownEmail || commit.commit?.author?.email !== ownEmail);
+  if (commits.length === 0) return [];
+
+  // Gitea lists the files per commit (newest commit first), older versions only for the whole range
+  const perCommit = commits.some(commit => commit.files)
+    ? [...commits].reverse().map(commit => ({ files: commit.files || [], authors: [getAuthorName(commit)] }))
+    : [{ files: changes.files, authors: [...new Set(commits.map(getAuthorName))] }];
+
+  // Path -> { action, authors, from }, walked oldest first: a file added or moved and then changed is still added
+  // or moved, a file added and then removed isn't mentioned
+  const byPath = new Map();
+  for (const { files, authors } of perCommit) {
+    for (const file of files) {
+      const action = CHANGE_ACTIONS[file.status];
+      if (!action || !file.filename) continue;
+
+      const previous = byPath.get(file.previous_filename || file.filename);
+      if (file.previous_filename) byPath.delete(file.previous_filename);
+      const allAuthors = new Set([...(previous?.authors || []), ...authors]);
+
+      if (action === 'removed') {
+        byPath.delete(file.filename);
+        // A moved file is gone from where it was before
+        if (previous?.action === 'moved') {
+          byPath.set(previous.from, { action, authors: allAuthors });
+        } else if (previous?.action !== 'added') {
+          byPath.set(file.filename, { action, authors: allAuthors });
+        }
+        continue;
+      }
+
+      const keepsAction = previous?.action === 'added' || previous?.action === 'moved';
+      byPath.set(file.filename, {
+        action: keepsAction ? previous.action : action,
+        authors: allAuthors,
+        from: previous?.from || file.previous_filename || null
+      });
+    }
+  }
+
+  const groups = new Map();
+  for (const [path, { action, authors }] of byPath) {
+    const folderPath = getParentPath(path);
+    const key = `${action}:${folderPath}`;
+    if (!groups.has(key)) groups.set(key, { folderPath, action, paths: [], authors: new Set() });
+    const group = groups.get(key);
+    group.paths.push(path);
+    authors.forEach(author => group.authors.add(author));
+  }
+
+  return [...groups.values()]
+    .map(group => ({ ...group, authors: [...group.authors] }))
+    .sort((a, b) => b.paths.length - a.paths.length);
+}
+
+/**
+ * One line for a group of describeCommitChanges(), "3 files added to Exhibits/ by Maria"
+ */
+export function formatChangeSummary({ folderPath, action, paths, authors }) {
+  const what = paths.length === 1 ? paths[0].split('/').pop() : `${paths.length} files`;
+  const where = folderPath ? ` ${ACTION_LABELS[action]} ${folderPath}/` : ` ${action}`;
+  const who = authors.length > 2
+    ? `${authors[0]} and ${authors.length - 1} others`
+    : authors.join(' and ');
+  return `${what}${where} by ${who}`;
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describeCommitChanges, formatChangeSummary } from './liveUpdates';
+import { setCommitIdentity } from './giteaFileOperations';
+
+vi.mock('./giteaSession', () => ({
+  getGiteaToken: () => 'token',
+  getRawRequestHeaders: () => ({})
+}));
+
+function commit(name, email, files) {
+  return { commit: { author: { name, email } }, files };
+}
+
+// Compare results list the commits newest first, like Gitea does
+function summarize(...commitsOldestFirst) {
+  return describeCommitChanges({ files: [], commits: [...commitsOldestFirst].reverse() }).map(formatChangeSummary);
+}
+
+beforeEach(() => {
+  setCommitIdentity({ email: 'me@example.com' });
+});
+
+describe('describeCommitChanges', () => {
+  it("doesn't mention a file added and then removed", () => {
+    expect(summarize(
+      commit('Maria', 'maria@example.com', [{ filename: 'Exhibits/draft.pdf', status: 'added' }]),
+      commit('Maria', 'maria@example.com', [{ filename: 'Exhibits/draft.pdf', status: 'removed' }])
+    )).toEqual([]);
+  });
+
+  it('reports a file added and then edited as added', () => {
+    expect(summarize(
+      commit('Maria', 'maria@example.com', [{ filename: 'Exhibits/a.pdf', status: 'added' }, { filename: 'Exhibits/b.pdf', status: 'added' }]),
+      commit('John', 'john@example.com', [{ filename: 'Exhibits/b.pdf', status: 'modified' }])
+    )).toEqual(['2 files added to Exhibits/ by Maria and John']);
+  });
+
+  it('reports a file moved and then edited once', () => {
+    expect(summarize(
+      commit('Maria', 'maria@example.com', [{ filename: 'Filings/motion.pdf', previous_filename: 'motion.pdf', status: 'renamed' }]),
+      commit('Maria', 'maria@example.com', [{ filename: 'Filings/motion.pdf', status: 'modified' }])
+    )).toEqual(['motion.pdf moved to Filings/ by Maria']);
+  });
+
+  it('reports a file moved and then removed where it was', () => {
+    expect(summarize(
+      commit('Maria', 'maria@example.com', [{ filename: 'Filings/motion.pdf', previous_filename: 'Drafts/motion.pdf', status: 'renamed' }]),
+      commit('John', 'john@example.com', [{ filename: 'Filings/motion.pdf', status: 'removed' }])
+    )).toEqual(['motion.pdf removed from Drafts/ by Maria and John']);
+  });
+
+  it('leaves out the signed-in user\'s commits', () => {
+    expect(summarize(
+      commit('Me', 'me@example.com', [{ filename: 'notes.md', status: 'added' }]),
+      commit('Maria', 'maria@example.com', [{ filename: 'Exhibits/a.pdf', status: 'added' }])
+    )).toEqual(['a.pdf added to Exhibits/ by Maria']);
+  });
+});
@@ -0,0 +1,432 @@
+/**
+ * Memory Storage Provider
+ * Keeps a workspace's files in the browser for development and demos, no Gitea needed
+ * Works like a tiny git: blobs by sha, commits with a full tree each, branches pointing at commits
+ * The store is saved to localStorage so it survives a reload (set VITE_MEMORY_STORAGE_PERSIST=false to turn that off)
+ */
+
+import {
+  FileConflictError,
+  getCommitIdentity,
+  normalizePath,
+  joinPath,
+  isSameOrChildPath,
+  replacePathPrefix
+} from './giteaFileOperations';
+import { getRepositoryConfig } from './storageConfig';
+
+const STORE_PREFIX = 'memory_storage_';
+const PERSIST = import.meta.env.VITE_MEMORY_STORAGE_PERSIST !== 'false';
+
+// "owner/repo" -> { blobs, commits, branches }
+const stores = new Map();
+
+/**
+ * Short stable hash used as blob and commit sha (not cryptographic)
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+function getStore(key) {
+  if (!stores.has(key)) {
+    let store = null;
+    if (PERSIST) {
+      try {
+        store = JSON.parse(localStorage.getItem(STORE_PREFIX + key));
+      } catch (error) {
+        console.warn('Failed to read memory storage, starting empty:', error);
+      }
+    }
+    stores.set(key, store || { blobs: {}, commits: {}, branches: {} });
+  }
+  return stores.get(key);
+}
+
+function persistStore(key) {
+  if (!PERSIST) return;
+  try {
+    localStorage.setItem(STORE_PREFIX + key, JSON.stringify(stores.get(key)));
+  } catch (error) {
+    console.warn('Failed to persist memory storage (quota?):', error);
+  }
+}
+
+/**
+ * Size in bytes of base64 content
+ */
+function base64Size(content) {
+  const padding = content.endsWith('==') ? 2 : content.endsWith('=') ? 1 : 0;
+  return Math.floor(content.length * 3 / 4) - padding;
+}
+
+/**
+ * Create a provider for one in-memory repository
+ * config is { owner, repo, defaultBranch } from storageConfig
+ */
+export function createMemoryStorageProvider(config) {
+  const { owner, repo, defaultBranch } = config;
+  const storeKey = `${owner}/${repo}`;
+
+  // Commit a branch or tag points at, or the commit itself ({} tree before the first commit)
+  function resolve(ref = defaultBranch) {
+    const store = getStore(storeKey);
+    const sha = store.branches[ref] || ref;
+    return store.commits[sha] || null;
+  }
+
+  function getTree(ref) {
+    return resolve(ref)?.tree || {};
+  }
+
+  function toEntry(path, blobSha) {
+    const store = getStore(storeKey);
+    const content = store.blobs[blobSha] || '';
+    return { name: path.split('/').pop(), path, sha: blobSha, size: base64Size(content) };
+  }
+
+  /**
+   * Write a new commit on a branch from a tree
+   */
+  function writeCommit(tree, message, branch) {
+    const store = getStore(storeKey);
+    const parent = store.branches[branch] || null;
+    const identity = getCommitIdentity().author || { name: 'Local user', email: '' };
+    const date = new Date().toISOString();
+    const sha = hashString(`${parent}\n${message}\n${date}\n${JSON.stringify(tree)}`);
+
+    store.commits[sha] = { sha, parent, message, author: identity, date, tree };
+    store.branches[branch] = sha;
+    persistStore(storeKey);
+    return sha;
+  }
+
+  function putBlob(content) {
+    const store = getStore(storeKey);
+    const sha = hashString(content);
+    store.blobs[sha] = content;
+    return sha;
+  }
+
+  /**
+   * Apply multi-file changes (same shape as Gitea's contents endpoint) and commit them
+   */
+  function applyChanges(changes, message, branch) {
+    if (!changes || changes.length === 0) {
+      throw new Error('No changes to commit');
+    }
+
+    const tree = { ...getTree(branch) };
+    for (const change of changes) {
+      const path = normalizePath(change.path);
+      const sourcePath = change.from_path ? normalizePath(change.from_path) : path;
+
+      if (change.operation === 'create') {
+        if (tree[path]) throw new Error(`"${path}" already exists`);
+        tree[path] = putBlob(change.content || '');
+      } else if (change.operation === 'update') {
+        if (!tree[sourcePath]) throw new Error(`"${sourcePath}" does not exist`);
+        if (change.sha && tree[sourcePath] !== change.sha) throw new FileConflictError(sourcePath, tree[sourcePath]);
+        delete tree[sourcePath];
+        tree[path] = change.content !== undefined ? putBlob(change.content) : getTree(branch)[sourcePath];
+      } else if (change.operation === 'delete') {
+        if (!tree[path]) throw new Error(`"${path}" does not exist`);
+        delete tree[path];
+      } else {
+        throw new Error(`Unknown operation "${change.operation}"`);
+      }
+    }
+
+    return writeCommit(tree, message, branch);
+  }
+
+  function list(folderPath, ref = defaultBranch) {
+    const folder = normalizePath(folderPath);
+    const prefix = folder ? `${folder}/` : '';
+    const entries = new Map();
+
+    for (const [path, blobSha] of Object.entries(getTree(ref))) {
+      if (!path.startsWith(prefix)) continue;
+      const [name, ...rest] = path.substring(prefix.length).split('/');
+      const childPath = prefix + name;
+      if (rest.length > 0) {
+        if (!entries.has(childPath)) {
+          entries.set(childPath, { name, path: childPath, type: 'dir', sha: hashString(childPath), size: 0 });
+        }
+      } else {
+        entries.set(childPath, { ...toEntry(path, blobSha), type: 'file' });
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  function listRecursive(folderPath, ref = defaultBranch) {
+    const folder = normalizePath(folderPath);
+    return Object.entries(getTree(ref))
+      .filter(([path]) => !folder || isSameOrChildPath(path, folder))
+      .map(([path, blobSha]) => toEntry(path, blobSha));
+  }
+
+  function listTree(ref) {
+    const entries = new Map();
+    for (const [path, blobSha] of Object.entries(getTree(ref))) {
+      const parts = path.split('/');
+      parts.slice(0, -1).forEach((part, index) => {
+        const folderPath = parts.slice(0, index + 1).join('/');
+        if (!entries.has(folderPath)) {
+          entries.set(folderPath, { path: folderPath, type: 'dir', sha: hashString(folderPath), size: 0 });
+        }
+      });
+      const { sha, size } = toEntry(path, blobSha);
+      entries.set(path, { path, type: 'file', sha, size });
+    }
+    return [...entries.values()];
+  }
+
+  function read(path, ref = defaultBranch) {
+    const blobSha = getTree(ref)[normalizePath(path)];
+    if (!blobSha) {
+      throw new Error(`Failed to read ${path}: 404 Not Found`);
+    }
+    return { content: getStore(storeKey).blobs[blobSha] || '', sha: blobSha, size: toEntry(path, blobSha).size };
+  }
+
+  function exists(path, ref = defaultBranch) {
+    const target = normalizePath(path);
+    return Object.keys(getTree(ref)).some(filePath => isSameOrChildPath(filePath, target));
+  }
+
+  /**
+   * Commits from a ref back to the first one, newest first
+   */
+  function walkCommits(ref) {
+    const store = getStore(storeKey);
+    const commits = [];
+    let commit = resolve(ref);
+    while (commit) {
+      commits.push(commit);
+      commit = commit.parent ? store.commits[commit.parent] : null;
+    }
+    return commits;
+  }
+
+  // Paths a commit added, changed or removed compared to its parent
+  function changedPaths(commit) {
+    const parentTree = commit.parent ? getStore(storeKey).commits[commit.parent]?.tree || {} : {};
+    const paths = new Set([...Object.keys(commit.tree), ...Object.keys(parentTree)]);
+    return [...paths].filter(path => commit.tree[path] !== parentTree[path]);
+  }
+
+  /**
+   * Validate a move and build the changes for it
+   */
+  function buildMoveChanges(item, newPath, branch) {
+    const oldPath = normalizePath(item.path);
+    const targetPath = normalizePath(newPath);
+    if (!targetPath) throw new Error('Destination path cannot be empty');
+    if (oldPath === targetPath) throw new Error('Destination is the same as the current location');
+    if (item.type === 'dir' && isSameOrChildPath(targetPath, oldPath)) throw new Error('A folder cannot be moved into itself');
+    if (exists(targetPath, branch)) throw new Error(`"${targetPath}" already exists`);
+
+    const changes = listRecursive(oldPath, branch).map(file => ({
+      operation: 'update',
+      from_path: file.path,
+      path: replacePathPrefix(file.path, oldPath, targetPath)
+    }));
+    if (changes.length === 0) throw new Error(`Nothing to move in "${oldPath}"`);
+
+    return { oldPath, newPath: targetPath, changes };
+  }
+
+  function toHistoryEntry(commit) {
+    return {
+      sha: commit.sha,
+      shortSha: commit.sha.substring(0, 7),
+      message: commit.message.split('\n')[0],
+      fullMessage: commit.message,
+      authorName: commit.author?.name || 'Unknown',
+      authorEmail: commit.author?.email || '',
+      authorLogin: null,
+      date: commit.date,
+      parents: commit.parent ? [commit.parent] : []
+    };
+  }
+
+  return {
+    name: 'memory',
+    repo,
+    defaultBranch,
+    capabilities: { drafts: false, snapshots: false, trash: false, lfs: false, liveUpdates: false },
+
+    list: async (folderPath, ref) => list(folderPath, ref),
+
+    listRecursive: async (folderPath, ref) => listRecursive(folderPath, ref),
+
+    listTree: async (commitSha) => listTree(commitSha),
+
+    // Nothing is stored with LFS here
+    resolveLfs: async (entries) => entries,
+
+    read: async (path, ref) => read(path, ref),
+
+    exists: async (path, ref) => exists(path, ref),
+
+    // data: URLs fetch like raw URLs and ignore the request headers
+    getRawUrl(path, ref = defaultBranch) {
+      const blobSha = getTree(ref)[normalizePath(path)];
+      const content = blobSha ? getStore(storeKey).blobs[blobSha] : '';
+      return `data:application/octet-stream;base64,${content || ''}`;
+    },
+
+    async commit(changes, message, branch = defaultBranch) {
+      const commitSha = applyChanges(changes, message, branch);
+      const tree = getTree(branch);
+      const files = changes
+        .filter(change => change.operation !== 'delete')
+        .map(change => {
+          const path = normalizePath(change.path);
+          return { path, sha: tree[path], size: toEntry(path, tree[path]).size };
+        });
+      return { commitSha, files };
+    },
+
+    async save(path, content, expectedSha, message, branch = defaultBranch) {
+      const filePath = normalizePath(path);
+      const currentSha = getTree(branch)[filePath] || null;
+      if (currentSha !== expectedSha) {
+        throw new FileConflictError(filePath, currentSha);
+      }
+
+      const commitSha = applyChanges(
+        [{ operation: 'update', path: filePath, content, sha: expectedSha }],
+        message || `Update ${filePath.split('/').pop()}`,
+        branch
+      );
+      const sha = getTree(branch)[filePath];
+      return { commitSha, sha, size: toEntry(filePath, sha).size };
+    },
+
+    async deletePaths(files, message, branch = defaultBranch) {
+      const changes = files.map(file => ({ operation: 'delete', path: file.path, sha: file.sha }));
+      return { commitSha: applyChanges(changes, message, branch), deletedPaths: changes.map(change => change.path) };
+    },
+
+    async movePath(item, newPath, message, branch = defaultBranch) {
+      const move = buildMoveChanges(item, newPath, branch);
+      const commitSha = applyChanges(move.changes, message || `Move ${move.oldPath} to ${move.newPath}`, branch);
+
+      return {
+        commitSha,
+        oldPath: move.oldPath,
+        newPath: move.newPath,
+        movedFiles: move.changes.map(change => ({ from: change.from_path, to: change.path }))
+      };
+    },
+
+    async movePaths(items, destinationFolder, message, branch = defaultBranch) {
+      const names = items.map(item => item.name);
+      const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+      if (duplicate) {
+        throw new Error(`More than one selected item is named "${duplicate}"`);
+      }
+
+      const moves = items.map(item => buildMoveChanges(item, joinPath(destinationFolder, item.name), branch));
+      const commitSha = applyChanges(
+        moves.flatMap(move => move.changes),
+        message || `Move ${items.length} items to ${destinationFolder || 'root'}`,
+        branch
+      );
+
+      return { commitSha, moves: moves.map(move => ({ oldPath: move.oldPath, newPath: move.newPath })) };
+    },
+
+    async copyPath(item, newPath, message, targetRepoName = repo, branch, sourceRef = defaultBranch) {
+      const sourcePath = normalizePath(item.path);
+      const targetPath = normalizePath(newPath);
+      const target = targetRepoName === repo
+        ? this
+        : createMemoryStorageProvider(getRepositoryConfig(targetRepoName));
+      const targetBranch = branch || target.defaultBranch;
+
+      if (!targetPath) throw new Error('Destination path cannot be empty');
+      if (targetRepoName === repo && item.type === 'dir' && isSameOrChildPath(targetPath, sourcePath)) {
+        throw new Error('A folder cannot be copied into itself');
+      }
+      if (await target.exists(targetPath, targetBranch)) throw new Error(`"${targetPath}" already exists`);
+
+      const changes = listRecursive(sourcePath, sourceRef).map(file => ({
+        operation: 'create',
+        path: replacePathPrefix(file.path, sourcePath, targetPath),
+        content: read(file.path, sourceRef).content
+      }));
+      if (changes.length === 0) throw new Error(`Nothing to copy in "${sourcePath}"`);
+
+      const { commitSha } = await target.commit(changes, message || `Copy ${sourcePath} to ${targetPath}`, targetBranch);
+      return { commitSha, sourcePath, newPath: targetPath, copiedFiles: changes.map(change => change.path) };
+    },
+
+    async history(path, options = {}) {
+      const { page = 1, limit = 20, ref = defaultBranch } = options;
+      const target = normalizePath(path);
+      const commits = walkCommits(ref)
+        .filter(commit => changedPaths(commit).some(changed => !target || isSameOrChildPath(changed, target)))
+        .map(toHistoryEntry);
+      const start = (page - 1) * limit;
+      return { commits: commits.slice(start, start + limit), hasMore: commits.length > start + limit };
+    },
+
+    async restoreVersion(path, commitSha, message, branch = defaultBranch) {
+      const filePath = normalizePath(path);
+      const version = read(filePath, commitSha);
+      const currentSha = getTree(branch)[filePath] || null;
+      if (currentSha === version.sha) {
+        throw new Error('This version is already the current version');
+      }
+
+      const change = currentSha
+        ? { operation: 'update', path: filePath, content: version.content, sha: currentSha }
+        : { operation: 'create', path: filePath, content: version.content };
+      const newCommitSha = applyChanges(
+        [change],
+        message || `Restore ${filePath.split('/').pop()} to version ${commitSha.substring(0, 7)}`,
+        branch
+      );
+      return { commitSha: newCommitSha, sha: version.sha, size: version.size };
+    },
+
+    async lastEditors(folderPath, childPaths, options = {}) {
+      const { ref = defaultBranch } = options;
+      const prefix = folderPath ? `${normalizePath(folderPath)}/` : '';
+      const remaining = new Set(childPaths);
+      const editors = new Map();
+
+      for (const commit of walkCommits(ref)) {
+        if (remaining.size === 0) break;
+        const entry = toHistoryEntry(commit);
+        for (const path of changedPaths(commit)) {
+          if (!path.startsWith(prefix)) continue;
+          const childPath = prefix + path.substring(prefix.length).split('/')[0];
+          if (!remaining.has(childPath)) continue;
+          remaining.delete(childPath);
+          editors.set(childPath, { name: entry.authorName, email: entry.authorEmail, date: entry.date, sha: entry.sha });
+        }
+      }
+
+      return editors;
+    },
+
+    async getCommitSha(branch = defaultBranch) {
+      return getStore(storeKey).branches[branch] || null;
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import mupdf from 'mupdf';
+import { scheduledFetch } from './requestScheduler';
 
 class MuPDFService {
   constructor() {
@@ -39,12 +40,12 @@ class MuPDFService {
     }
   }
 
-  async loadDocument(url) {
+  async loadDocument(url, headers = {}) {
     try {
       console.log('Loading document from URL:', url);
       
       // Fetch the PDF data
-      const response = await fetch(url);
+      const response = await scheduledFetch(url, { headers });
       if (!response.ok) {
         throw new Error(`Failed to fetch PDF: ${response.status} ${response.statusText}`);
       }
@@ -3,34 +3,115 @@
  * Implements commit-based caching to improve file loading performance
  */
 
+import { getRepoFullName, getDefaultBranch, getRepositoryConfig } from './storageConfig';
+import { getStorageProvider } from './storageProviders';
+import { scheduledFetch } from './requestScheduler';
+import {
+  readCacheEntry,
+  writeCacheEntry as writeStoredEntry,
+  deleteCacheEntry as deleteStoredEntry,
+  getCacheKeys,
+  clearCacheScopes,
+  getCacheUsage,
+  loadCacheScope,
+  migrateLegacyEntries,
+  onRemoteCacheChange
+} from './cacheStore';
+import {
+  getIndexKey,
+  getRepositoryIndex,
+  listIndexedFolder,
+  getIndexedEntry,
+  searchIndex,
+  resolveIndexedLfs
+} from './repositoryIndex';
+import { getParentPath, isSameOrChildPath } from './giteaFileOperations';
+
 const CACHE_PREFIX = 'gitea_repo_cache_';
+const COMMIT_CACHE_PREFIX = `${CACHE_PREFIX}commit_`;
 const CACHE_VERSION = '1.0';
 const MAX_CACHE_AGE = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
-// In-memory cache for ultra-fast access (cleared on page refresh)
-const memoryCache = new Map();
-const commitCache = new Map();
+// Listings used to be kept in localStorage, move them to IndexedDB once
+migrateLegacyEntries(CACHE_PREFIX, (key, value) => {
+  if (key.startsWith(COMMIT_CACHE_PREFIX)) return key.substring(COMMIT_CACHE_PREFIX.length);
+  return value.repoName || null;
+});
+
+/**
+ * Name a repository's cache entries are stored under for a ref
+ * The default branch keeps the plain repository name, other refs (snapshot tags) get their own "repo@ref" space
+ */
+export function getRefScope(repoName, ref = getDefaultBranch(repoName)) {
+  return ref && ref !== getDefaultBranch(repoName) ? `${repoName}@${ref}` : repoName;
+}
 
 /**
  * Generate cache key for a repository and path
  */
-function getCacheKey(repoName, path = '') {
+function getCacheKey(repoName, path = '', ref = getDefaultBranch(repoName)) {
   const normalizedPath = path.replace(/^\/+|\/+$/g, ''); // Remove leading/trailing slashes
-  return `${CACHE_PREFIX}${repoName}_${normalizedPath || 'root'}`;
+  return `${CACHE_PREFIX}${getRefScope(repoName, ref)}_${normalizedPath || 'root'}`;
 }
 
 /**
  * Generate commit cache key for a repository
  */
-function getCommitCacheKey(repoName) {
-  return `${CACHE_PREFIX}commit_${repoName}`;
+function getCommitCacheKey(repoName, ref = getDefaultBranch(repoName)) {
+  return `${COMMIT_CACHE_PREFIX}${getRefScope(repoName, ref)}`;
+}
+
+/**
+ * Read a repository's cached listings from IndexedDB
+ * Await it before the first lookup, until then getCachedData reports a miss
+ */
+export function loadRepositoryCache(repoName, ref = getDefaultBranch(repoName)) {
+  return loadCacheScope(getRefScope(repoName, ref));
+}
+
+/**
+ * Listen for repository cache changes made in other tabs
+ * listener gets [{ repoName, ref, kind: 'listing' | 'commit' | 'index', path, deleted }], path is set for listings
+ * Returns a function that stops listening
+ */
+export function onRepositoryCacheChange(listener) {
+  return onRemoteCacheChange(changes => {
+    const repositoryChanges = [];
+    for (const { key, scope, deleted } of changes) {
+      if (!scope || !key.startsWith(CACHE_PREFIX)) continue;
+
+      const [repoName, scopeRef] = scope.split('@');
+      const ref = scopeRef || getDefaultBranch(repoName);
+      const listingPrefix = `${CACHE_PREFIX}${scope}_`;
+      let kind = null;
+      let path = null;
+
+      if (key === `${COMMIT_CACHE_PREFIX}${scope}`) {
+        kind = 'commit';
+      } else if (key === getIndexKey(repoName, ref)) {
+        kind = 'index';
+      } else if (key.startsWith(listingPrefix)) {
+        kind = 'listing';
+        path = key.substring(listingPrefix.length);
+        path = path === 'root' ? '' : path;
+      }
+
+      if (kind) {
+        repositoryChanges.push({ repoName, ref, kind, path, deleted });
+      }
+    }
+
+    if (repositoryChanges.length > 0) {
+      listener(repositoryChanges);
+    }
+  });
 }
 
 /**
  * Get latest commit SHA from Gitea API
  * Tries multiple approaches to handle different repository states
  */
-export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch = 'main') {
+export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch = getDefaultBranch(repoName)) {
   try {
     // Validate repoName before making API calls
     if (!repoName) {
@@ -41,9 +122,9 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
     console.log('🔗 getLatestCommitSha: Making API call with repoName:', repoName);
     
     // Method 1: Use branches endpoint (FAST - only returns commit ID, no files)
-    let url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/branches/${branch}`;
+    let url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/branches/${branch}`;
     
-    let response = await fetch(url, {
+    let response = await scheduledFetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `token ${giteaToken}`,
@@ -60,9 +141,9 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
     }
     
     // Method 2: Fallback to commits endpoint (SLOWER - returns files)
-    url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/commits?limit=1&sha=${branch}`;
+    url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/commits?limit=1&sha=${branch}`;
     
-    response = await fetch(url, {
+    response = await scheduledFetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `token ${giteaToken}`,
@@ -79,8 +160,8 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
     }
     
     // Method 2: If all commit-related endpoints fail, try getting repository info
-    url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}`;
-    response = await fetch(url, {
+    url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}`;
+    response = await scheduledFetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `token ${giteaToken}`,
@@ -94,8 +175,8 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
       
       if (repoData.default_branch) {
         // Try with the actual default branch using branches endpoint (FAST)
-        url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/branches/${repoData.default_branch}`;
-        response = await fetch(url, {
+        url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/branches/${repoData.default_branch}`;
+        response = await scheduledFetch(url, {
           method: 'GET',
           headers: {
             'Authorization': `token ${giteaToken}`,
@@ -112,8 +193,8 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
         }
         
         // Fallback to commits endpoint if branches endpoint fails
-        url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/commits?limit=1&sha=${repoData.default_branch}`;
-        response = await fetch(url, {
+        url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/commits?limit=1&sha=${repoData.default_branch}`;
+        response = await scheduledFetch(url, {
           method: 'GET',
           headers: {
             'Authorization': `token ${giteaToken}`,
@@ -138,8 +219,8 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
     }
     
     // Method 4: Try getting contents endpoint to see if repo has any files
-    url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/contents/`;
-    response = await fetch(url, {
+    url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/contents/`;
+    response = await scheduledFetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `token ${giteaToken}`,
@@ -163,88 +244,61 @@ export async function getLatestCommitSha(giteaHost, giteaToken, repoName, branch
 }
 
 /**
- * Attempt to create a repository in Gitea
+ * Create a workspace repository in Gitea
+ * options.workspaceId tells the Gitea proxy which workspace the repository is for
+ * Returns the repository, or null when one with this name already exists
  */
-export async function createRepository(giteaHost, giteaToken, repoName, description = '') {
-  try {
-    const url = `${giteaHost}/api/v1/orgs/associateattorney/repos`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `token ${giteaToken}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name: repoName,
-        description: description || `Workspace repository for ${repoName}`,
-        private: true,
-        auto_init: true, // This will create an initial commit
-        default_branch: 'main'
-      })
-    });
-    
-    if (response.ok) {
-      const repoData = await response.json();
-      return repoData;
-    } else {
-      const errorData = await response.json().catch(() => ({}));
-      return null;
-    }
-  } catch (error) {
+export async function createRepository(giteaHost, giteaToken, repoName, description = '', options = {}) {
+  const url = `${giteaHost}/api/v1/orgs/${getRepositoryConfig(repoName).owner}/repos`;
+  
+  const response = await scheduledFetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `token ${giteaToken}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...(options.workspaceId ? { 'X-Workspace-Id': String(options.workspaceId) } : {})
+    },
+    body: JSON.stringify({
+      name: repoName,
+      description: description || `Workspace repository for ${repoName}`,
+      private: true,
+      auto_init: true, // This will create an initial commit
+      default_branch: getDefaultBranch(repoName)
+    })
+  });
+  
+  if (response.status === 409) {
     return null;
   }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Failed to create repository: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
 }
 
 /**
  * Get cached data for a repository path (optimized with memory cache)
+ * ref selects a snapshot's cache instead of main
  */
-export function getCachedData(repoName, path = '') {
+export function getCachedData(repoName, path = '', ref = getDefaultBranch(repoName)) {
   try {
-    const cacheKey = getCacheKey(repoName, path);
-    
-    // Check memory cache first (ultra-fast)
-    if (memoryCache.has(cacheKey)) {
-      const memoryCached = memoryCache.get(cacheKey);
-      const now = Date.now();
-      
-      // Check if memory cache is still valid (same session validity)
-      if (memoryCached.version === CACHE_VERSION && 
-          (now - memoryCached.timestamp) < MAX_CACHE_AGE) {
-        return memoryCached;
-      } else {
-        // Remove expired memory cache
-        memoryCache.delete(cacheKey);
-      }
-    }
-    
-    // Fallback to localStorage cache
-    const cached = localStorage.getItem(cacheKey);
+    const cacheKey = getCacheKey(repoName, path, ref);
+    const cached = readCacheEntry(cacheKey);
     
     if (!cached) {
       return null;
     }
     
-    const parsedCache = JSON.parse(cached);
-    
-    // Check cache version
-    if (parsedCache.version !== CACHE_VERSION) {
-      localStorage.removeItem(cacheKey);
+    // Check cache version and age
+    if (cached.version !== CACHE_VERSION || Date.now() - cached.timestamp > MAX_CACHE_AGE) {
+      deleteStoredEntry(cacheKey);
       return null;
     }
     
-    // Check cache age
-    const now = Date.now();
-    if (now - parsedCache.timestamp > MAX_CACHE_AGE) {
-      localStorage.removeItem(cacheKey);
-      return null;
-    }
-    
-    // Store in memory cache for next access
-    memoryCache.set(cacheKey, parsedCache);
-    
-    return parsedCache;
+    return cached;
   } catch (error) {
     return null;
   }
@@ -252,12 +306,14 @@ export function getCachedData(repoName, path = '') {
 
 /**
  * Set cached data for a repository path (optimized with memory cache)
+ * ref stores a snapshot's listing apart from main
  */
-export function setCachedData(repoName, path = '', commitSha, files, folders) {
+export function setCachedData(repoName, path = '', commitSha, files, folders, ref = getDefaultBranch(repoName)) {
   const startTime = performance.now();
   
   try {
-    const cacheKey = getCacheKey(repoName, path);
+    const cacheKey = getCacheKey(repoName, path, ref);
+    const scope = getRefScope(repoName, ref);
     const now = Date.now();
     const cacheData = {
       version: CACHE_VERSION,
@@ -267,35 +323,28 @@ export function setCachedData(repoName, path = '', commitSha, files, folders) {
       path,
       files: files || [],
       folders: folders || [],
-      repoName
+      // Snapshot entries are scoped so repository-wide lookups only see main
+      repoName: scope
     };
     
-    // Store in memory cache first for immediate access
-    memoryCache.set(cacheKey, cacheData);
-    
-    // Store in localStorage for persistence (asynchronous to avoid blocking)
-    setTimeout(() => {
-      try {
-        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-        
-        // Also store the latest commit SHA for quick access
-        const commitCacheKey = getCommitCacheKey(repoName);
-        const commitData = {
-          version: CACHE_VERSION,
-          timestamp: Date.now(),
-          commitSha
-        };
-        
-        localStorage.setItem(commitCacheKey, JSON.stringify(commitData));
-        commitCache.set(repoName, commitData);
-        
-      } catch (storageError) {
-        // Silent error handling
-      }
-    }, 0);
+    // Available at once, written to IndexedDB in the background
+    writeStoredEntry(cacheKey, scope, cacheData);
+    
+    // The repository's commit is the one every listing has been brought up to, a listing read at a newer
+    // commit doesn't move it: syncRepositoryCache applies the commits in between to the other listings first.
+    // It's pinned, listings left without it could never be brought up to date
+    const commitCacheKey = getCommitCacheKey(repoName, ref);
+    const cachedCommit = readCacheEntry(commitCacheKey);
+    if (!cachedCommit || now - cachedCommit.timestamp > MAX_CACHE_AGE) {
+      writeStoredEntry(commitCacheKey, scope, {
+        version: CACHE_VERSION,
+        timestamp: now,
+        commitSha
+      }, { pinned: true });
+    }
     
   } catch (error) {
-    // Silent error handling
+    console.warn('Failed to cache listing:', repoName, path, error);
   }
 }
 
@@ -304,40 +353,20 @@ export function setCachedData(repoName, path = '', commitSha, files, folders) {
  */
 export function getCachedCommitSha(repoName) {
   try {
-    // Check memory cache first
-    if (commitCache.has(repoName)) {
-      const memoryCached = commitCache.get(repoName);
-      const now = Date.now();
-      
-      if (memoryCached.version === CACHE_VERSION && 
-          (now - memoryCached.timestamp) < MAX_CACHE_AGE) {
-        return memoryCached.commitSha;
-      } else {
-        commitCache.delete(repoName);
-      }
-    }
-    
-    // Fallback to localStorage
     const commitCacheKey = getCommitCacheKey(repoName);
-    const cached = localStorage.getItem(commitCacheKey);
+    const cached = readCacheEntry(commitCacheKey);
     
     if (!cached) {
       return null;
     }
     
-    const parsedCache = JSON.parse(cached);
-    
     // Check cache age
-    const now = Date.now();
-    if (now - parsedCache.timestamp > MAX_CACHE_AGE) {
-      localStorage.removeItem(commitCacheKey);
+    if (Date.now() - cached.timestamp > MAX_CACHE_AGE) {
+      deleteStoredEntry(commitCacheKey);
       return null;
     }
     
-    // Store in memory cache for next access
-    commitCache.set(repoName, parsedCache);
-    
-    return parsedCache.commitSha;
+    return cached.commitSha;
   } catch (error) {
     return null;
   }
@@ -346,9 +375,9 @@ export function getCachedCommitSha(repoName) {
 /**
  * Get the last fetch time for a repository (when data was last retrieved from server)
  */
-export function getLastFetchTime(repoName, path = '') {
+export function getLastFetchTime(repoName, path = '', ref = getDefaultBranch(repoName)) {
   try {
-    const cachedData = getCachedData(repoName, path);
+    const cachedData = getCachedData(repoName, path, ref);
     return cachedData?.lastFetched || null;
   } catch (error) {
     return null;
@@ -357,6 +386,7 @@ export function getLastFetchTime(repoName, path = '') {
 
 /**
  * Get changes between two commits
+ * Returns { files, commits }: files in the order the commits made them, commits newest first as Gitea lists them
  */
 export async function getCommitChanges(giteaHost, giteaToken, repoName, fromCommit, toCommit) {
   try {
@@ -371,9 +401,9 @@ export async function getCommitChanges(giteaHost, giteaToken, repoName, fromComm
     }
     
     // Use compare API to get changes between commits
-    const url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/compare/${fromCommit}...${toCommit}`;
+    const url = `${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/compare/${fromCommit}...${toCommit}`;
     
-    const response = await fetch(url, {
+    const response = await scheduledFetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `token ${giteaToken}`,
@@ -392,10 +422,12 @@ export async function getCommitChanges(giteaHost, giteaToken, repoName, fromComm
     }
     
     const compareData = await response.json();
+    const commits = compareData.commits || [];
     
+    // Gitea lists the changed files per commit rather than for the whole range, and commits newest first
     return {
-      files: compareData.files || [],
-      commits: compareData.commits || []
+      files: compareData.files || [...commits].reverse().flatMap(commit => commit.files || []),
+      commits
     };
   } catch (error) {
     // On error, assume changes and refresh cache
@@ -406,178 +438,375 @@ export async function getCommitChanges(giteaHost, giteaToken, repoName, fromComm
   }
 }
 
+// Statuses Gitea reports for files a commit deleted
+const REMOVED_STATUSES = ['removed', 'deleted'];
+
 /**
- * Apply changeset to cached data
+ * Paths a compare result touches with their last change, [{ path, removed, renamedFrom }]
+ * Renames touch both the old and the new path. A file added and then deleted is removed, a file renamed and then
+ * edited isn't a rename anymore.
  */
-export function applyChangesToCache(repoName, path, changes, cachedData) {
-  try {
-    const pathPrefix = path ? `${path}/` : '';
-    let { files, folders } = cachedData;
-    
-    for (const change of changes.files) {
-      const filePath = change.filename;
-      
-      // Only process files in the current path
-      if (path && !filePath.startsWith(pathPrefix)) {
-        continue;
-      }
-      
-      // Get relative path within current folder
-      const relativePath = path ? filePath.substring(pathPrefix.length) : filePath;
-      
-      // Skip if this is a file in a subdirectory (we only want direct children)
-      if (relativePath.includes('/')) {
-        continue;
+function getChangedPaths(changes) {
+  const paths = new Map();
+  const setChange = (path, change) => {
+    paths.delete(path);
+    paths.set(path, { path, ...change });
+  };
+
+  for (const change of changes.files) {
+    if (change.previous_filename) setChange(change.previous_filename, { removed: true, renamedFrom: null });
+    if (change.filename) {
+      setChange(change.filename, { removed: REMOVED_STATUSES.includes(change.status), renamedFrom: change.previous_filename || null });
+    }
+  }
+  return [...paths.values()];
+}
+
+/**
+ * Apply a compare result (getCommitChanges) to every cached listing of a repository
+ * Files are added, updated, moved and removed in whichever cached folders hold them, folders that appear are added
+ * to their cached parent and folders left without files are pruned. Every listing then records commitSha.
+ * index is the repository index at commitSha when there is one: it knows which paths exist and their sha and size.
+ * Without it the statuses decide, and folders whose new files can't be described are dropped to be listed again.
+ * Returns the folder paths whose listing changed
+ */
+export function applyChangesToCache(repoName, changes, commitSha, index = null) {
+  const listings = new Map();
+  const cachedPaths = new Set(getAllCachedPaths(repoName));
+  const changedFolders = new Set();
+  const droppedFolders = new Set();
+
+  // Copy of a cached listing, null when the folder isn't cached
+  const getListing = folderPath => {
+    if (!listings.has(folderPath)) {
+      const cachedData = cachedPaths.has(folderPath) ? getCachedData(repoName, folderPath) : null;
+      listings.set(folderPath, cachedData ? { ...cachedData, files: [...cachedData.files], folders: [...cachedData.folders] } : null);
+    }
+    return listings.get(folderPath);
+  };
+
+  const findCachedFile = path => getListing(getParentPath(path))?.files.find(file => file.path === path) || null;
+
+  const folderExists = folderPath => {
+    if (!folderPath) return true;
+    if (index) return getIndexedEntry(index, folderPath)?.type === 'dir';
+    const listing = getListing(folderPath);
+    return !listing || listing.files.length > 0 || listing.folders.length > 0;
+  };
+
+  const removeFile = path => {
+    const listing = getListing(getParentPath(path));
+    if (listing && listing.files.some(file => file.path === path)) {
+      listing.files = listing.files.filter(file => file.path !== path);
+      changedFolders.add(getParentPath(path));
+    }
+  };
+
+  // Add the folders leading to a path to their cached parents
+  const addFolders = folderPath => {
+    for (let path = folderPath; path; path = getParentPath(path)) {
+      const parentListing = getListing(getParentPath(path));
+      if (!parentListing || parentListing.folders.some(folder => folder.path === path)) continue;
+      parentListing.folders.push(toCachedItems(repoName, [{ name: path.split('/').pop(), path, type: 'dir', sha: getIndexedEntry(index, path)?.sha }])[0]);
+      changedFolders.add(getParentPath(path));
+    }
+  };
+
+  // Drop folders that no longer hold anything, from their parent and from the cache
+  const pruneFolders = folderPath => {
+    for (let path = folderPath; path && !folderExists(path); path = getParentPath(path)) {
+      const parentListing = getListing(getParentPath(path));
+      if (parentListing && parentListing.folders.some(folder => folder.path === path)) {
+        parentListing.folders = parentListing.folders.filter(folder => folder.path !== path);
+        changedFolders.add(getParentPath(path));
       }
-      
-      switch (change.status) {
-        case 'added':
-        case 'modified':
-          // For directories, we need to check if this file should create a folder entry
-          const pathParts = relativePath.split('/');
-          if (pathParts.length === 1) {
-            // This is a direct file in current path
-            updateFileInCache(files, change, filePath);
-          }
-          break;
-          
-        case 'removed':
-          // Remove file from cache
-          removeFileFromCache(files, folders, relativePath);
-          break;
+      for (const cachedPath of cachedPaths) {
+        if (isSameOrChildPath(cachedPath, path)) droppedFolders.add(cachedPath);
       }
     }
-    
-    return { files, folders };
-  } catch (error) {
-    return cachedData;
+  };
+
+  const changedPaths = getChangedPaths(changes);
+  // A renamed file keeps its content, its old entry describes the new one
+  const renamedFrom = new Map(changedPaths
+    .filter(change => change.renamedFrom)
+    .map(change => [change.path, findCachedFile(change.renamedFrom)]));
+
+  for (const { path, removed } of changedPaths) {
+    const entry = index ? getIndexedEntry(index, path) : undefined;
+    const exists = index ? entry?.type === 'file' : !removed;
+
+    if (!exists) {
+      removeFile(path);
+      pruneFolders(getParentPath(path));
+      continue;
+    }
+
+    const folderPath = getParentPath(path);
+    addFolders(folderPath);
+    const listing = getListing(folderPath);
+    if (!listing) continue;
+
+    const previous = renamedFrom.get(path);
+    if (!entry && !previous) {
+      // Nothing says what the new version is, list the folder again
+      droppedFolders.add(folderPath);
+      continue;
+    }
+
+    const [item] = toCachedItems(repoName, [{
+      name: path.split('/').pop(),
+      path,
+      type: 'file',
+      sha: entry ? entry.sha : previous.sha,
+      size: entry ? entry.size : previous.size,
+      lfs: entry ? entry.lfs : previous.lfs
+    }]);
+    listing.files = [...listing.files.filter(file => file.path !== path), item];
+    changedFolders.add(folderPath);
   }
+
+  const now = Date.now();
+  for (const path of cachedPaths) {
+    if (droppedFolders.has(path)) {
+      deleteCacheEntry(repoName, path);
+      continue;
+    }
+    const listing = getListing(path);
+    if (listing) {
+      writeCacheEntry(repoName, path, { ...listing, timestamp: now, commitSha });
+    }
+  }
+  writeStoredEntry(getCommitCacheKey(repoName), getRefScope(repoName), { version: CACHE_VERSION, timestamp: now, commitSha }, { pinned: true });
+
+  return [...new Set([...changedFolders, ...droppedFolders])];
 }
 
 /**
- * Update or add file in cache
+ * Bring a repository's cached listings up to its branch head
+ * Only the changes since the cached commit are applied, the cache is only cleared when the commits can't be compared
+ * Returns { commitSha, changes, changedFolders, cleared } when the branch moved on, null otherwise
  */
-function updateFileInCache(files, change, fullPath) {
-  const fileName = fullPath.split('/').pop();
-  
-  // Remove existing file with same name
-  const existingIndex = files.findIndex(f => f.name === fileName);
-  if (existingIndex !== -1) {
-    files.splice(existingIndex, 1);
+export async function syncRepositoryCache(giteaHost, giteaToken, repoName) {
+  await loadRepositoryCache(repoName);
+  const cachedCommitSha = getCachedCommitSha(repoName);
+  if (!cachedCommitSha) {
+    return null;
   }
-  
-  // Add updated file (we'll need to fetch full file data from API)
-  // This is a placeholder - in practice, you'd need to fetch the full file metadata
-  files.push({
-    id: change.sha || Date.now().toString(),
-    name: fileName,
-    type: 'file',
-    size: change.additions + change.deletions, // Rough estimate
-    path: fullPath,
-    repository: null, // Will be set when fetching from API
-    sha: change.sha,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  });
+
+  const commitSha = await getStorageProvider(repoName).getCommitSha();
+  if (!commitSha || commitSha === cachedCommitSha || getCachedCommitSha(repoName) !== cachedCommitSha) {
+    return null;
+  }
+
+  const changes = await getCommitChanges(giteaHost, giteaToken, repoName, cachedCommitSha, commitSha);
+  if (changes.files.some(change => change.status === 'refresh-needed')) {
+    console.log('🔄 Commits could not be compared, clearing the cache of', repoName);
+    clearRepositoryCache(repoName);
+    return { commitSha, changes, changedFolders: [], cleared: true };
+  }
+
+  const index = await getRepositoryIndex(repoName, getDefaultBranch(repoName), { fresh: true });
+  // Someone else brought the cache up to date meanwhile
+  if (getCachedCommitSha(repoName) !== cachedCommitSha) {
+    return null;
+  }
+
+  const changedFolders = applyChangesToCache(repoName, changes, commitSha, index?.commitSha === commitSha ? index : null);
+  console.log(`🔄 Applied ${changes.files.length} changes to the cache of ${repoName}, ${changedFolders.length} folders changed`);
+  return { commitSha, changes, changedFolders, cleared: false };
 }
 
 /**
- * Remove file from cache
+ * Write a prepared cache entry to memory and IndexedDB
  */
-function removeFileFromCache(files, folders, relativePath) {
-  const fileName = relativePath.split('/').pop();
-  
-  // Remove from files
-  const fileIndex = files.findIndex(f => f.name === fileName);
-  if (fileIndex !== -1) {
-    files.splice(fileIndex, 1);
+function writeCacheEntry(repoName, path, cacheData) {
+  writeStoredEntry(getCacheKey(repoName, path), getRefScope(repoName), cacheData);
+}
+
+/**
+ * Remove a single cache entry from memory and IndexedDB
+ */
+function deleteCacheEntry(repoName, path) {
+  deleteStoredEntry(getCacheKey(repoName, path));
+}
+
+/**
+ * Rewrite a cached file/folder entry that lives below a moved path
+ */
+function rewriteEntryPath(entry, oldPath, newPath) {
+  if (!entry.path || (entry.path !== oldPath && !entry.path.startsWith(`${oldPath}/`))) {
+    return entry;
   }
-  
-  // If it was a folder, remove from folders too
-  const folderIndex = folders.findIndex(f => f.name === fileName);
-  if (folderIndex !== -1) {
-    folders.splice(folderIndex, 1);
+
+  const rewrittenPath = entry.path === oldPath ? newPath : `${newPath}${entry.path.substring(oldPath.length)}`;
+  const rewritten = { ...entry, path: rewrittenPath };
+
+  if (entry.path === oldPath) {
+    rewritten.name = rewrittenPath.split('/').pop();
+  }
+  if (entry.download_url) {
+    rewritten.download_url = entry.download_url.replace(`/${entry.path}`, `/${rewrittenPath}`);
   }
+
+  return rewritten;
 }
 
 /**
- * Clear all cache for a repository (localStorage + memory)
+ * Update cached listings after a file or folder was renamed or moved
+ * Re-keys cached folders below the old path and patches both parent listings
+ * The repository's commit isn't moved on, so commits by others before this one still get synced
  */
-export function clearRepositoryCache(repoName) {
+export function movePathInCache(repoName, oldPath, newPath, commitSha = null) {
+  try {
+    const oldParent = oldPath.includes('/') ? oldPath.substring(0, oldPath.lastIndexOf('/')) : '';
+    const newParent = newPath.includes('/') ? newPath.substring(0, newPath.lastIndexOf('/')) : '';
+    const now = Date.now();
+    let movedEntry = null;
+
+    // Remove the item from its old parent listing
+    const oldParentData = getCachedData(repoName, oldParent);
+    if (oldParentData) {
+      movedEntry = oldParentData.files.find(f => f.path === oldPath) ||
+                   oldParentData.folders.find(f => f.path === oldPath) || null;
+
+      writeCacheEntry(repoName, oldParent, {
+        ...oldParentData,
+        timestamp: now,
+        commitSha: commitSha || oldParentData.commitSha,
+        files: oldParentData.files.filter(f => f.path !== oldPath),
+        folders: oldParentData.folders.filter(f => f.path !== oldPath)
+      });
+    }
+
+    // Re-key cached folders that lived inside a moved folder
+    for (const cachedPath of getAllCachedPaths(repoName)) {
+      if (cachedPath !== oldPath && !cachedPath.startsWith(`${oldPath}/`)) {
+        continue;
+      }
+
+      const cachedData = getCachedData(repoName, cachedPath);
+      deleteCacheEntry(repoName, cachedPath);
+      if (!cachedData) continue;
+
+      const rewrittenPath = cachedPath === oldPath ? newPath : `${newPath}${cachedPath.substring(oldPath.length)}`;
+      writeCacheEntry(repoName, rewrittenPath, {
+        ...cachedData,
+        timestamp: now,
+        commitSha: commitSha || cachedData.commitSha,
+        path: rewrittenPath,
+        files: cachedData.files.map(f => rewriteEntryPath(f, oldPath, newPath)),
+        folders: cachedData.folders.map(f => rewriteEntryPath(f, oldPath, newPath))
+      });
+    }
+
+    // Add the item to its new parent listing (when that listing is cached)
+    const newParentData = getCachedData(repoName, newParent);
+    if (newParentData && movedEntry) {
+      const rewritten = rewriteEntryPath(movedEntry, oldPath, newPath);
+      const isFolder = rewritten.type === 'dir';
+
+      writeCacheEntry(repoName, newParent, {
+        ...newParentData,
+        timestamp: now,
+        commitSha: commitSha || newParentData.commitSha,
+        files: isFolder ? newParentData.files : [...newParentData.files.filter(f => f.path !== newPath), rewritten],
+        folders: isFolder ? [...newParentData.folders.filter(f => f.path !== newPath), rewritten] : newParentData.folders
+      });
+    } else if (newParentData) {
+      // We don't know the moved entry's metadata, so let the next load refetch the listing
+      deleteCacheEntry(repoName, newParent);
+    }
+  } catch (error) {
+    // If patching fails, drop the repository cache so the next load is fresh
+    clearRepositoryCache(repoName);
+  }
+}
+
+/**
+ * Update cached listings after a file or folder was deleted
+ * Removes it from its parent listing and drops cached folders below it
+ */
+export function removePathFromCache(repoName, path, commitSha = null) {
   try {
-    // Clear memory cache
-    const memoryKeysToDelete = [];
-    for (const [key, value] of memoryCache.entries()) {
-      if (value.repoName === repoName) {
-        memoryKeysToDelete.push(key);
+    const parentPath = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+    const parentData = getCachedData(repoName, parentPath);
+
+    if (parentData) {
+      writeCacheEntry(repoName, parentPath, {
+        ...parentData,
+        timestamp: Date.now(),
+        commitSha: commitSha || parentData.commitSha,
+        files: parentData.files.filter(f => f.path !== path),
+        folders: parentData.folders.filter(f => f.path !== path)
+      });
+    }
+
+    for (const cachedPath of getAllCachedPaths(repoName)) {
+      if (cachedPath === path || cachedPath.startsWith(`${path}/`)) {
+        deleteCacheEntry(repoName, cachedPath);
       }
     }
-    memoryKeysToDelete.forEach(key => memoryCache.delete(key));
-    
-    // Clear commit memory cache
-    commitCache.delete(repoName);
-    
-    // Clear localStorage cache
-    const keys = Object.keys(localStorage);
-    const repoKeys = keys.filter(key => key.startsWith(`${CACHE_PREFIX}${repoName}_`) || key === getCommitCacheKey(repoName));
-    
-    repoKeys.forEach(key => {
-      localStorage.removeItem(key);
-    });
+  } catch (error) {
+    clearRepositoryCache(repoName);
+  }
+}
+
+/**
+ * Drop cached listings for specific folders so the next load refetches them
+ */
+export function invalidateCachedPaths(repoName, paths) {
+  for (const path of new Set(paths)) {
+    deleteCacheEntry(repoName, path);
+  }
+}
+
+/**
+ * Clear all cache for a repository (IndexedDB + memory)
+ */
+export function clearRepositoryCache(repoName) {
+  try {
+    clearCacheScopes(scope => scope === repoName);
   } catch (error) {
     // Silent error handling
   }
 }
 
 /**
- * Get cache statistics (including memory cache)
+ * Get cache statistics, sizes are the bytes stored in IndexedDB
+ * repositorySizes has the bytes per repository, snapshot listings count towards their repository
  */
 export function getCacheStats() {
   try {
-    const keys = Object.keys(localStorage);
-    const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
-    
-    let totalSize = 0;
-    let repositories = new Set();
-    
-    cacheKeys.forEach(key => {
-      const value = localStorage.getItem(key);
-      if (value) {
-        totalSize += value.length;
-        
-        // Extract repo name from key
-        const match = key.match(new RegExp(`^${CACHE_PREFIX}([^_]+)_`));
-        if (match) {
-          repositories.add(match[1]);
-        }
-      }
-    });
+    const usage = getCacheUsage(record => record.key.startsWith(CACHE_PREFIX));
+    const commitUsage = getCacheUsage(record => record.key.startsWith(COMMIT_CACHE_PREFIX));
     
-    // Add memory cache stats
-    let memoryCacheSize = 0;
-    for (const [key, value] of memoryCache.entries()) {
-      memoryCacheSize += JSON.stringify(value).length;
-      if (value.repoName) {
-        repositories.add(value.repoName);
-      }
+    const repositorySizes = {};
+    for (const [scope, size] of Object.entries(usage.scopes)) {
+      const repoName = scope.split('@')[0];
+      repositorySizes[repoName] = (repositorySizes[repoName] || 0) + size;
     }
     
     return {
-      totalEntries: cacheKeys.length,
-      totalSize,
-      repositories: Array.from(repositories),
-      memoryEntries: memoryCache.size,
-      memoryCacheSize,
-      commitCacheEntries: commitCache.size
+      totalEntries: usage.totalEntries,
+      totalSize: usage.totalSize,
+      repositories: Object.keys(repositorySizes),
+      repositorySizes,
+      memoryEntries: usage.memoryEntries,
+      memoryCacheSize: usage.memorySize,
+      commitCacheEntries: commitUsage.memoryEntries,
+      budget: usage.budget
     };
   } catch (error) {
     return { 
       totalEntries: 0, 
       totalSize: 0, 
       repositories: [],
+      repositorySizes: {},
       memoryEntries: 0,
       memoryCacheSize: 0,
-      commitCacheEntries: 0
+      commitCacheEntries: 0,
+      budget: 0
     };
   }
 }
@@ -587,32 +816,14 @@ export function getCacheStats() {
  */
 export function getAllCachedPaths(repoName) {
   try {
-    const paths = new Set();
-    
-    // Check memory cache first
-    for (const [key, value] of memoryCache.entries()) {
-      if (value.repoName === repoName) {
-        paths.add(value.path);
-      }
-    }
-    
-    // Check localStorage cache
-    const keys = Object.keys(localStorage);
-    const repoKeys = keys.filter(key => key.startsWith(`${CACHE_PREFIX}${repoName}_`));
-    
-    repoKeys.forEach(key => {
-      const match = key.match(new RegExp(`^${CACHE_PREFIX}${repoName}_(.+)$`));
-      if (match) {
-        const path = match[1];
-        if (path === 'root') {
-          paths.add('');
-        } else {
-          paths.add(path);
-        }
-      }
-    });
-    
-    return Array.from(paths);
+    const prefix = `${CACHE_PREFIX}${repoName}_`;
+    
+    return getCacheKeys(repoName)
+      .filter(key => key.startsWith(prefix) && key !== getCommitCacheKey(repoName) && key !== getIndexKey(repoName))
+      .map(key => {
+        const path = key.substring(prefix.length);
+        return path === 'root' ? '' : path;
+      });
   } catch (error) {
     return [];
   }
@@ -674,23 +885,7 @@ export function searchCachedData(repoName, searchTerm, options = {}) {
       }
     }
     
-    // Sort by relevance (exact matches first, then by path depth, then alphabetically)
-    results.sort((a, b) => {
-      // First by match score (higher is better)
-      if (b.matchScore !== a.matchScore) {
-        return b.matchScore - a.matchScore;
-      }
-      
-      // Then by path depth (shorter paths first)
-      const aDepth = a.fullPath.split('/').length;
-      const bDepth = b.fullPath.split('/').length;
-      if (aDepth !== bDepth) {
-        return aDepth - bDepth;
-      }
-      
-      // Finally alphabetically
-      return a.fullPath.localeCompare(b.fullPath);
-    });
+    results.sort(compareSearchResults);
     
     // Limit results
     return results.slice(0, maxResults);
@@ -782,11 +977,47 @@ export function getAllCachedData(repoName) {
   }
 }
 
+/**
+ * Turn storage entries into cached files and folders, listings don't say when items were created
+ */
+function toCachedItems(repoName, entries) {
+  const storage = getStorageProvider(repoName);
+  const repository = getRepoFullName(repoName);
+  const now = new Date().toISOString();
+
+  return entries.map(item => item.type === 'dir'
+    ? {
+        id: item.sha || item.path,
+        name: item.name,
+        type: 'dir',
+        path: item.path,
+        repository,
+        created_at: now,
+        updated_at: now
+      }
+    : {
+        id: item.sha,
+        name: item.name,
+        type: 'file',
+        size: item.size,
+        path: item.path,
+        download_url: storage.getRawUrl(item.path),
+        repository,
+        sha: item.sha,
+        lfs: !!item.lfs,
+        created_at: now,
+        updated_at: now
+      });
+}
+
 /**
  * Fetch and cache folder data on-demand for search
  * This ensures we can find files in subfolders that haven't been visited yet
+ * Reads the repository index when there is one and lists through the storage provider otherwise,
+ * giteaHost and giteaToken are kept for existing callers
+ * options.signal cancels the listing (resolves null like any other failure)
  */
-export async function fetchAndCacheFolderData(giteaHost, giteaToken, repoName, folderPath) {
+export async function fetchAndCacheFolderData(giteaHost, giteaToken, repoName, folderPath, options = {}) {
   try {
     // Validate repoName before making API call
     if (!repoName) {
@@ -794,59 +1025,37 @@ export async function fetchAndCacheFolderData(giteaHost, giteaToken, repoName, f
       return null;
     }
     
-    console.log('🔗 fetchAndCacheFolderData: Making API call with repoName:', repoName, 'folderPath:', folderPath);
-    const url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/contents/${folderPath}`;
+    const storage = getStorageProvider(repoName);
+    // Listings have to be current, so the index is checked against the branch
+    const index = await getRepositoryIndex(repoName, getDefaultBranch(repoName), { fresh: true });
+    if (options.signal?.aborted) {
+      return null;
+    }
     
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `token ${giteaToken}`,
-        'Accept': 'application/json',
-        'Cache-Control': 'no-cache'
+    let items;
+    if (index) {
+      items = listIndexedFolder(index, folderPath);
+      // The folder isn't in the repository
+      if (!items) {
+        return null;
       }
-    });
-    
-    if (!response.ok) {
-      // Don't log 404 errors as they're expected for non-existent folders
-      if (response.status !== 404) {
-        console.warn(`Failed to fetch folder ${folderPath}: ${response.status} ${response.statusText}`);
+      items = await resolveIndexedLfs(repoName, getDefaultBranch(repoName), index, items);
+    } else {
+      console.log('🔗 fetchAndCacheFolderData: Listing', repoName, 'folderPath:', folderPath);
+      items = await storage.list(folderPath, undefined, { signal: options.signal });
+      
+      // Missing folders list as empty
+      if (items.length === 0 && folderPath) {
+        return null;
       }
-      return null;
     }
     
-    const data = await response.json();
-    const items = Array.isArray(data) ? data : [data];
-    
-    // Separate files and folders
-    const fileItems = items.filter(item => item.type === 'file');
-    const folderItems = items.filter(item => item.type === 'dir');
-    
-    // Map to our format
-    const files = fileItems.map(item => ({
-      id: item.sha,
-      name: item.name,
-      type: 'file',
-      size: item.size,
-      path: item.path,
-      download_url: `${giteaHost}/associateattorney/${repoName}/raw/branch/main/${item.path}?token=${giteaToken}`,
-      repository: `associateattorney/${repoName}`,
-      sha: item.sha,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }));
-    
-    const folders = folderItems.map(item => ({
-      id: item.sha,
-      name: item.name,
-      type: 'dir',
-      path: item.path,
-      repository: `associateattorney/${repoName}`,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }));
+    const cachedItems = toCachedItems(repoName, items);
+    const files = cachedItems.filter(item => item.type === 'file');
+    const folders = cachedItems.filter(item => item.type === 'dir');
     
     // Cache the data
-    const commitSha = await getLatestCommitSha(giteaHost, giteaToken, repoName);
+    const commitSha = index ? index.commitSha : await storage.getCommitSha();
     if (commitSha) {
       setCachedData(repoName, folderPath, commitSha, files, folders);
     }
@@ -859,187 +1068,63 @@ export async function fetchAndCacheFolderData(giteaHost, giteaToken, repoName, f
 }
 
 /**
- * Enhanced search that fetches uncached folders on-demand
+ * Sort search results by relevance (exact matches first, then by path depth, then alphabetically)
+ */
+function compareSearchResults(a, b) {
+  if (b.matchScore !== a.matchScore) {
+    return b.matchScore - a.matchScore;
+  }
+  
+  const aDepth = a.fullPath.split('/').length;
+  const bDepth = b.fullPath.split('/').length;
+  if (aDepth !== bDepth) {
+    return aDepth - bDepth;
+  }
+  
+  return a.fullPath.localeCompare(b.fullPath);
+}
+
+/**
+ * Enhanced search that also finds files in folders that were never opened
+ * Searches the repository index, and the cached listings when the index can't be built
  */
 export async function searchCachedDataEnhanced(giteaHost, giteaToken, repoName, searchTerm, options = {}) {
   const {
     includeFiles = true,
     includeFolders = true,
     caseSensitive = false,
-    maxResults = 200
+    maxResults = 200,
+    signal
   } = options;
   
   try {
-    const results = [];
-    const normalizedSearchTerm = caseSensitive ? searchTerm : searchTerm.toLowerCase();
-    
-    // First, search through existing cached data
-    const cachedResults = searchCachedData(repoName, searchTerm, options);
-    results.push(...cachedResults);
-    
-    // If we have a search term and not enough results, try to fetch more folders
-    if (searchTerm.trim() && results.length < maxResults) {
-      // Get all cached paths to see what we have
-      const cachedPaths = getAllCachedPaths(repoName);
-      
-      // First, try to get root folder data to see what subfolders exist
-      let rootData = getCachedData(repoName, '');
-      if (!rootData) {
-        // If root is not cached, fetch it first
-        rootData = await fetchAndCacheFolderData(giteaHost, giteaToken, repoName, '');
-      }
-      
-      // Get list of subfolders from root
-      const subfolders = [];
-      if (rootData && rootData.folders) {
-        subfolders.push(...rootData.folders.map(f => f.name));
-      }
-      
-      // Only try to fetch folders that are likely to exist based on the search term
-      const searchTermLower = searchTerm.toLowerCase();
-      const relevantFolders = [];
-      
-      // Add actual subfolders from root
-      relevantFolders.push(...subfolders);
-      
-      // Only add common folders if the search term suggests they might be relevant
-      if (searchTermLower.includes('external') || searchTermLower.includes('comment')) {
-        relevantFolders.push('external_comments');
-      }
-      if (searchTermLower.includes('doc') || searchTermLower.includes('pdf')) {
-        relevantFolders.push('documents');
-      }
-      if (searchTermLower.includes('file')) {
-        relevantFolders.push('files');
-      }
-      if (searchTermLower.includes('image') || searchTermLower.includes('pic') || searchTermLower.includes('screenshot')) {
-        relevantFolders.push('images', 'assets');
-      }
-      if (searchTermLower.includes('data')) {
-        relevantFolders.push('data');
-      }
-      if (searchTermLower.includes('content')) {
-        relevantFolders.push('content');
-      }
-      if (searchTermLower.includes('src') || searchTermLower.includes('code')) {
-        relevantFolders.push('src');
-      }
-      if (searchTermLower.includes('public')) {
-        relevantFolders.push('public');
-      }
-      if (searchTermLower.includes('private')) {
-        relevantFolders.push('private');
-      }
-      if (searchTermLower.includes('shared')) {
-        relevantFolders.push('shared');
-      }
-      
-      // Remove duplicates and already cached folders
-      const foldersToCheck = [...new Set(relevantFolders)].filter(folder => !cachedPaths.includes(folder));
-      
-      for (const folderName of foldersToCheck) {
-        // Try to fetch this folder
-        const folderData = await fetchAndCacheFolderData(giteaHost, giteaToken, repoName, folderName);
-        if (folderData) {
-          // Search through the newly fetched data
-          if (includeFiles) {
-            for (const file of folderData.files || []) {
-              const fileName = caseSensitive ? file.name : file.name.toLowerCase();
-              if (fileName.includes(normalizedSearchTerm)) {
-                results.push({
-                  ...file,
-                  searchPath: folderName,
-                  fullPath: `${folderName}/${file.name}`,
-                  matchType: 'file',
-                  matchScore: calculateMatchScore(file.name, searchTerm, folderName)
-                });
-              }
-            }
-          }
-          
-          if (includeFolders) {
-            for (const folder of folderData.folders || []) {
-              const folderName = caseSensitive ? folder.name : folder.name.toLowerCase();
-              if (folderName.includes(normalizedSearchTerm)) {
-                results.push({
-                  ...folder,
-                  searchPath: folderName,
-                  fullPath: `${folderName}/${folder.name}`,
-                  matchType: 'folder',
-                  matchScore: calculateMatchScore(folder.name, searchTerm, folderName)
-                });
-              }
-            }
-          }
-          
-          // Stop if we have enough results
-          if (results.length >= maxResults) {
-            break;
-          }
-        }
-      }
-      
-      // If still no results, try to get all repository contents
-      if (results.length === 0) {
-        const allContents = await getAllRepositoryContents(giteaHost, giteaToken, repoName);
-        if (allContents) {
-          for (const item of allContents) {
-            if (includeFiles && item.type === 'file') {
-              const fileName = caseSensitive ? item.name : item.name.toLowerCase();
-              if (fileName.includes(normalizedSearchTerm)) {
-                const pathParts = item.path.split('/');
-                const folderPath = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '';
-                
-                results.push({
-                  ...item,
-                  searchPath: folderPath,
-                  fullPath: item.path,
-                  matchType: 'file',
-                  matchScore: calculateMatchScore(item.name, searchTerm, folderPath)
-                });
-              }
-            }
-            
-            if (includeFolders && item.type === 'dir') {
-              const folderName = caseSensitive ? item.name : item.name.toLowerCase();
-              if (folderName.includes(normalizedSearchTerm)) {
-                const pathParts = item.path.split('/');
-                const parentPath = pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '';
-                
-                results.push({
-                  ...item,
-                  searchPath: parentPath,
-                  fullPath: item.path,
-                  matchType: 'folder',
-                  matchScore: calculateMatchScore(item.name, searchTerm, parentPath)
-                });
-              }
-            }
-            
-            if (results.length >= maxResults) {
-              break;
-            }
-          }
-        }
-      }
+    const index = searchTerm.trim() ? await getRepositoryIndex(repoName) : null;
+    if (signal?.aborted) {
+      return [];
+    }
+    if (!index) {
+      return searchCachedData(repoName, searchTerm, options);
     }
     
-    // Sort by relevance
-    results.sort((a, b) => {
-      if (b.matchScore !== a.matchScore) {
-        return b.matchScore - a.matchScore;
-      }
-      
-      const aDepth = a.fullPath.split('/').length;
-      const bDepth = b.fullPath.split('/').length;
-      if (aDepth !== bDepth) {
-        return aDepth - bDepth;
-      }
-      
-      return a.fullPath.localeCompare(b.fullPath);
-    });
+    const matches = searchIndex(index, searchTerm, { includeFiles, includeFolders, caseSensitive })
+      .map(entry => {
+        const searchPath = getParentPath(entry.path);
+        return {
+          entry,
+          searchPath,
+          fullPath: entry.path,
+          matchType: entry.type === 'dir' ? 'folder' : 'file',
+          matchScore: calculateMatchScore(entry.name, searchTerm, searchPath)
+        };
+      })
+      .sort(compareSearchResults)
+      .slice(0, maxResults);
     
-    return results.slice(0, maxResults);
+    // Only the results shown need their LFS sizes
+    const entries = await resolveIndexedLfs(repoName, getDefaultBranch(repoName), index, matches.map(match => match.entry));
+    const items = toCachedItems(repoName, entries);
+    
+    return matches.map(({ entry, ...match }, position) => ({ ...items[position], ...match }));
     
   } catch (error) {
     console.error('Error in enhanced search:', error);
@@ -1050,28 +1135,17 @@ export async function searchCachedDataEnhanced(giteaHost, giteaToken, repoName,
 
 /**
  * Get all repository contents recursively
- * This is a fallback method to ensure we can find files in any subfolder
+ * Every file and folder from the repository index, [{ name, path, type: 'file' | 'dir', sha, size }]
+ * options.signal stops waiting for the index
  */
-export async function getAllRepositoryContents(giteaHost, giteaToken, repoName) {
+export async function getAllRepositoryContents(giteaHost, giteaToken, repoName, options = {}) {
   try {
-    // Use the Git API to get all files in the repository
-    const url = `${giteaHost}/api/v1/repos/associateattorney/${repoName}/git/trees/main?recursive=true`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `token ${giteaToken}`,
-        'Accept': 'application/json',
-        'Cache-Control': 'no-cache'
-      }
-    });
-    
-    if (!response.ok) {
+    const index = await getRepositoryIndex(repoName);
+    if (!index || options.signal?.aborted) {
       return null;
     }
     
-    const data = await response.json();
-    return data.tree || [];
+    return index.entries.map(entry => ({ ...entry, name: entry.path.split('/').pop() }));
     
   } catch (error) {
     console.error('Error getting all repository contents:', error);
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadRepositoryCache,
+  setCachedData,
+  getCachedData,
+  clearRepositoryCache,
+  getCommitChanges,
+  applyChangesToCache
+} from './repositoryCache';
+
+vi.mock('./giteaSession', () => ({
+  getGiteaToken: () => 'token',
+  getRawRequestHeaders: () => ({})
+}));
+
+const HOST = 'https://gitea.test';
+const REPO = 'repo';
+
+function file(path, sha) {
+  return { name: path.split('/').pop(), path, type: 'file', sha, size: 10 };
+}
+
+// Gitea's compare answer: no files for the whole range, commits newest first
+function stubCompare(commits) {
+  vi.stubGlobal('fetch', vi.fn(async () => Response.json({ commits })));
+}
+
+beforeEach(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await loadRepositoryCache(REPO);
+  clearRepositoryCache(REPO);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('getCommitChanges', () => {
+  it('lists the files in the order the commits changed them', async () => {
+    stubCompare([
+      { sha: 'c2', files: [{ filename: 'draft.docx', status: 'removed' }] },
+      { sha: 'c1', files: [{ filename: 'draft.docx', status: 'added' }] }
+    ]);
+
+    const changes = await getCommitChanges(HOST, 'token', REPO, 'c0', 'c2');
+
+    expect(changes.files.map(change => change.status)).toEqual(['added', 'removed']);
+  });
+});
+
+describe('applyChangesToCache', () => {
+  it('leaves out a file added and then deleted', async () => {
+    setCachedData(REPO, '', 'c0', [file('notes.md', 'n1')], []);
+    stubCompare([
+      { sha: 'c2', files: [{ filename: 'draft.docx', status: 'removed' }] },
+      { sha: 'c1', files: [{ filename: 'draft.docx', status: 'added' }] }
+    ]);
+
+    const changes = await getCommitChanges(HOST, 'token', REPO, 'c0', 'c2');
+    applyChangesToCache(REPO, changes, 'c2');
+
+    const listing = getCachedData(REPO, '');
+    expect(listing.commitSha).toBe('c2');
+    expect(listing.files.map(item => item.path)).toEqual(['notes.md']);
+  });
+
+  it('does not describe a file renamed and then edited with its old version', async () => {
+    setCachedData(REPO, '', 'c0', [file('a.pdf', 'a1')], []);
+    stubCompare([
+      { sha: 'c2', files: [{ filename: 'b.pdf', status: 'modified' }] },
+      { sha: 'c1', files: [{ filename: 'b.pdf', previous_filename: 'a.pdf', status: 'renamed' }] }
+    ]);
+
+    const changes = await getCommitChanges(HOST, 'token', REPO, 'c0', 'c2');
+    const changedFolders = applyChangesToCache(REPO, changes, 'c2');
+
+    // Nothing says what b.pdf holds now, the folder is listed again
+    expect(changedFolders).toContain('');
+    expect(getCachedData(REPO, '')).toBeNull();
+  });
+
+  it('moves the entry of a renamed file', async () => {
+    setCachedData(REPO, '', 'c0', [file('a.pdf', 'a1')], []);
+    stubCompare([
+      { sha: 'c1', files: [{ filename: 'b.pdf', previous_filename: 'a.pdf', status: 'renamed' }] }
+    ]);
+
+    const changes = await getCommitChanges(HOST, 'token', REPO, 'c0', 'c1');
+    applyChangesToCache(REPO, changes, 'c1');
+
+    expect(getCachedData(REPO, '').files.map(item => [item.path, item.sha])).toEqual([['b.pdf', 'a1']]);
+  });
+});
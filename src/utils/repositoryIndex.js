@@ -0,0 +1,309 @@
+/**
+ * Repository Index
+ * Every file and folder of a repository from one git trees request, cached per ref
+ *
+ * The index records the commit it describes. When the branch moves on, the commits in between are compared
+ * and only the folders they touched are listed again, more than MAX_INCREMENTAL_FOLDERS and the tree is read
+ * again instead. Search, folder sizes, ZIP downloads and folder listings read from it rather than walking the
+ * repository one folder at a time.
+ */
+
+import { getDefaultBranch } from './storageConfig';
+import { getStorageProvider } from './storageProviders';
+import { getGiteaToken } from './giteaSession';
+import { getParentPath } from './giteaFileOperations';
+import { isPointerSize } from './gitLfs';
+import { readCacheEntry, writeCacheEntry, loadCacheScope } from './cacheStore';
+import { getRefScope, getCommitChanges } from './repositoryCache';
+
+const INDEX_PREFIX = 'gitea_repo_cache_index_';
+const INDEX_VERSION = 1;
+// An index checked against the branch this recently is used without asking again
+const HEAD_CHECK_INTERVAL = 30 * 1000;
+// Past this many touched folders one trees request is cheaper than listing them
+const MAX_INCREMENTAL_FOLDERS = 50;
+// Commit ids getLatestCommitSha makes up when it can't read the branch
+const PSEUDO_COMMIT_PATTERN = /^(empty-repo|contents-based)-/;
+
+// Index key -> update in progress
+const updates = new Map();
+// Index key -> when the branch head was last compared
+const headChecks = new Map();
+// Index -> lookups built from its entries
+const lookups = new WeakMap();
+
+/**
+ * Cache key of a repository's index for a ref
+ */
+export function getIndexKey(repoName, ref = getDefaultBranch(repoName)) {
+  return `${INDEX_PREFIX}${getRefScope(repoName, ref)}`;
+}
+
+function toName(path) {
+  return path.split('/').pop();
+}
+
+/**
+ * Paths, children and folder sizes of an index, built the first time they're needed
+ */
+function getLookup(index) {
+  let lookup = lookups.get(index);
+  if (lookup) return lookup;
+
+  const byPath = new Map();
+  const children = new Map([['', []]]);
+  const folderSizes = new Map([['', { size: 0, fileCount: 0 }]]);
+
+  for (const entry of index.entries) {
+    byPath.set(entry.path, entry);
+    const parentPath = getParentPath(entry.path);
+    if (!children.has(parentPath)) children.set(parentPath, []);
+    children.get(parentPath).push(entry);
+    if (entry.type === 'dir' && !folderSizes.has(entry.path)) {
+      folderSizes.set(entry.path, { size: 0, fileCount: 0 });
+    }
+  }
+
+  for (const entry of index.entries) {
+    if (entry.type !== 'file') continue;
+    const parts = entry.path.split('/');
+    for (let depth = 0; depth < parts.length; depth++) {
+      const totals = folderSizes.get(parts.slice(0, depth).join('/'));
+      if (!totals) continue;
+      totals.size += entry.size || 0;
+      totals.fileCount++;
+    }
+  }
+
+  lookup = { byPath, children, folderSizes };
+  lookups.set(index, lookup);
+  return lookup;
+}
+
+/**
+ * Folders of a file list, git doesn't store folders without files
+ * previousFolders keeps the sha of folders that were already known
+ */
+function withFolders(files, previousFolders = new Map()) {
+  const folders = new Map();
+  for (const file of files) {
+    let folderPath = getParentPath(file.path);
+    while (folderPath && !folders.has(folderPath)) {
+      folders.set(folderPath, { path: folderPath, type: 'dir', sha: previousFolders.get(folderPath)?.sha || null, size: 0 });
+      folderPath = getParentPath(folderPath);
+    }
+  }
+  return [...folders.values(), ...files];
+}
+
+function toIndexEntry(entry) {
+  return { path: entry.path, type: entry.type, sha: entry.sha, size: entry.size || 0, lfs: entry.lfs || null };
+}
+
+/**
+ * Entries of the commit, from the previous index and the commits since it
+ * Returns null when the changes can't be applied and the tree has to be read again
+ */
+async function applyCommitChanges(repoName, index, commitSha) {
+  const storage = getStorageProvider(repoName);
+  // The compare API is Gitea's, other providers read their tree cheaply
+  if (storage.name !== 'gitea') return null;
+
+  const changes = await getCommitChanges(import.meta.env.VITE_GITEA_HOST, getGiteaToken(), repoName, index.commitSha, commitSha);
+  if (changes.files.some(change => change.status === 'refresh-needed')) return null;
+  if (changes.files.length === 0 && changes.commits.length > 0) return null;
+
+  const touchedFolders = new Set();
+  for (const change of changes.files) {
+    touchedFolders.add(getParentPath(change.filename));
+    if (change.previous_filename) touchedFolders.add(getParentPath(change.previous_filename));
+  }
+  if (touchedFolders.size > MAX_INCREMENTAL_FOLDERS) return null;
+
+  // A folder's files now, an empty listing when the folder is gone
+  const folderPaths = [...touchedFolders];
+  const listings = await Promise.all(folderPaths.map(folderPath => storage.list(folderPath, commitSha)));
+
+  const files = new Map();
+  const previousFolders = new Map();
+  for (const entry of index.entries) {
+    if (entry.type === 'dir') {
+      previousFolders.set(entry.path, entry);
+    } else if (!touchedFolders.has(getParentPath(entry.path))) {
+      files.set(entry.path, entry);
+    }
+  }
+  for (const listing of listings) {
+    listing.filter(entry => entry.type === 'file').forEach(entry => files.set(entry.path, toIndexEntry(entry)));
+  }
+
+  console.log(`🌳 Updated the index of ${repoName} from ${changes.files.length} changes in ${folderPaths.length} folders`);
+  return withFolders([...files.values()], previousFolders);
+}
+
+async function updateIndex(repoName, ref) {
+  const key = getIndexKey(repoName, ref);
+  await loadCacheScope(getRefScope(repoName, ref));
+  const stored = getStoredIndex(repoName, ref);
+
+  try {
+    if (stored && Date.now() - (headChecks.get(key) || 0) < HEAD_CHECK_INTERVAL) {
+      return stored;
+    }
+
+    const storage = getStorageProvider(repoName);
+    const commitSha = await storage.getCommitSha(ref);
+    if (!commitSha || PSEUDO_COMMIT_PATTERN.test(commitSha)) {
+      return stored;
+    }
+    headChecks.set(key, Date.now());
+    if (stored?.commitSha === commitSha) {
+      return stored;
+    }
+
+    let entries = stored ? await applyCommitChanges(repoName, stored, commitSha) : null;
+    if (!entries) {
+      const startTime = performance.now();
+      entries = (await storage.listTree(commitSha)).map(toIndexEntry);
+      // The tree doesn't say which small files are LFS pointers, undefined marks them as not checked yet
+      entries.forEach(entry => {
+        if (entry.type === 'file' && isPointerSize(entry.size)) entry.lfs = undefined;
+      });
+      console.log(`🌳 Indexed ${entries.length} entries of ${repoName} in ${Math.round(performance.now() - startTime)}ms`);
+    }
+
+    const index = { version: INDEX_VERSION, commitSha, timestamp: Date.now(), entries };
+    writeCacheEntry(key, getRefScope(repoName, ref), index);
+    return index;
+  } catch (error) {
+    console.warn(`Failed to update the index of ${repoName}:`, error);
+    return stored;
+  }
+}
+
+/**
+ * A repository's index for a ref, updated to the ref's latest commit
+ * Resolves null when there's no index and it can't be built (callers fall back to listing folders)
+ * options.fresh always asks for the branch head, for callers acting on every file (deleting a folder)
+ * Callers share one update, so it isn't cancelled with theirs
+ */
+export function getRepositoryIndex(repoName, ref = getDefaultBranch(repoName), options = {}) {
+  const key = getIndexKey(repoName, ref);
+  if (options.fresh) {
+    headChecks.delete(key);
+  }
+  if (!updates.has(key)) {
+    updates.set(key, updateIndex(repoName, ref).finally(() => updates.delete(key)));
+  }
+  return updates.get(key);
+}
+
+/**
+ * The cached index as it is, null when there's none or its scope isn't loaded yet
+ */
+export function getStoredIndex(repoName, ref = getDefaultBranch(repoName)) {
+  const index = readCacheEntry(getIndexKey(repoName, ref));
+  return index?.version === INDEX_VERSION ? index : null;
+}
+
+/**
+ * Direct children of a folder, [{ name, path, type, sha, size, lfs }]
+ * null when the index doesn't have the folder
+ */
+export function listIndexedFolder(index, folderPath = '') {
+  const children = getLookup(index).children.get(folderPath);
+  if (!children) return null;
+  return children.map(entry => ({ ...entry, name: toName(entry.path) }));
+}
+
+/**
+ * Entry for a path, null when the index doesn't have it (or there's no index)
+ */
+export function getIndexedEntry(index, path) {
+  return index ? getLookup(index).byPath.get(path) || null : null;
+}
+
+/**
+ * Every file below a folder, [{ name, path, sha, size, lfs }]
+ */
+export function listIndexedFiles(index, folderPath = '') {
+  const prefix = folderPath ? `${folderPath}/` : '';
+  return index.entries
+    .filter(entry => entry.type === 'file' && entry.path.startsWith(prefix))
+    .map(entry => ({ ...entry, name: toName(entry.path) }));
+}
+
+/**
+ * Total size and number of files below a folder, null when the index doesn't have it
+ */
+export function getIndexedFolderSize(index, folderPath = '') {
+  return getLookup(index).folderSizes.get(folderPath) || null;
+}
+
+/**
+ * Files and folders whose name contains a term, [{ name, path, type, sha, size, lfs }]
+ */
+export function searchIndex(index, searchTerm, options = {}) {
+  const { includeFiles = true, includeFolders = true, caseSensitive = false } = options;
+  const term = caseSensitive ? searchTerm : searchTerm.toLowerCase();
+
+  const results = [];
+  for (const entry of index.entries) {
+    if (entry.type === 'file' ? !includeFiles : !includeFolders) continue;
+    const name = toName(entry.path);
+    if ((caseSensitive ? name : name.toLowerCase()).includes(term)) {
+      results.push({ ...entry, name });
+    }
+  }
+  return results;
+}
+
+/**
+ * Give LFS files of a listing their real size, and remember it in the index
+ * entries come from listIndexedFolder, the resolved entries are returned
+ */
+export async function resolveIndexedLfs(repoName, ref, index, entries) {
+  const unresolved = entries.filter(entry => entry.type === 'file' && entry.lfs === undefined);
+  if (unresolved.length === 0) return entries;
+
+  const resolved = await getStorageProvider(repoName).resolveLfs(unresolved, index.commitSha);
+  const { byPath } = getLookup(index);
+  for (const entry of resolved) {
+    const indexed = byPath.get(entry.path);
+    if (indexed) {
+      indexed.size = entry.size;
+      indexed.lfs = entry.lfs || null;
+    }
+  }
+
+  // Folder sizes include the new sizes from here on
+  lookups.delete(index);
+  writeCacheEntry(getIndexKey(repoName, ref), getRefScope(repoName, ref), index);
+
+  const resolvedByPath = new Map(resolved.map(entry => [entry.path, entry]));
+  return entries.map(entry => resolvedByPath.get(entry.path) || entry);
+}
+
+/**
+ * Take LFS details from a folder listing, for files whose blob is the one in the index
+ */
+export function recordFolderListing(repoName, ref, entries) {
+  const index = getStoredIndex(repoName, ref);
+  if (!index) return;
+
+  const { byPath } = getLookup(index);
+  let changed = false;
+  for (const entry of entries) {
+    const indexed = byPath.get(entry.path);
+    if (indexed && indexed.type === 'file' && indexed.sha === entry.sha && indexed.lfs === undefined) {
+      indexed.size = entry.size;
+      indexed.lfs = entry.lfs || null;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    lookups.delete(index);
+    writeCacheEntry(getIndexKey(repoName, ref), getRefScope(repoName, ref), index);
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Request Scheduler
+ * Every Gitea call goes through scheduledFetch so large workspaces don't flood the server:
+ * - at most MAX_CONCURRENT requests run at once, the rest wait in a queue
+ * - identical GETs that are already in flight share one request
+ * - 5xx, 429 and network failures are retried with backoff (writes only on 429, they may have been applied)
+ * - a 429 pauses the whole queue for the Retry-After time
+ * - options.signal cancels a request whether it is queued, running or waiting for a retry
+ */
+
+const DEFAULT_MAX_CONCURRENT = 6;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+
+let maxConcurrent = DEFAULT_MAX_CONCURRENT;
+let activeCount = 0;
+let pausedUntil = 0;
+let resumeTimer = null;
+const queue = [];
+// dedupe key -> { promise, subscribers, controller }
+const inFlight = new Map();
+const listeners = new Set();
+
+const stats = {
+  completed: 0,
+  failed: 0,
+  retried: 0,
+  deduplicated: 0,
+  aborted: 0
+};
+
+function createAbortError() {
+  return new DOMException('The request was aborted', 'AbortError');
+}
+
+function notifyListeners() {
+  const snapshot = getRequestStats();
+  listeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Start queued requests while there are free slots and the queue isn't paused
+ */
+function pump() {
+  const waitFor = pausedUntil - Date.now();
+  if (waitFor > 0) {
+    if (!resumeTimer) {
+      resumeTimer = setTimeout(() => {
+        resumeTimer = null;
+        pump();
+      }, waitFor);
+    }
+    return;
+  }
+
+  while (activeCount < maxConcurrent && queue.length > 0) {
+    const job = queue.shift();
+    activeCount++;
+    job.start();
+  }
+  notifyListeners();
+}
+
+/**
+ * Wait for a free slot, resolves with a release function
+ */
+function acquireSlot(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const job = {
+      start: () => {
+        signal?.removeEventListener('abort', onAbort);
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          activeCount--;
+          pump();
+        });
+      }
+    };
+    const onAbort = () => {
+      const index = queue.indexOf(job);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        notifyListeners();
+      }
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.push(job);
+    pump();
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Delay before the next attempt, Retry-After wins over exponential backoff with jitter
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (ms > 0) return Math.min(ms, MAX_RETRY_DELAY * 3);
+  }
+  const backoff = BASE_RETRY_DELAY * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.3, MAX_RETRY_DELAY);
+}
+
+function isRetryable(response, isRead) {
+  if (response.status === 429) return true;
+  return isRead && response.status >= 500 && response.status !== 501;
+}
+
+/**
+ * Run a request with slots and retries (no dedupe)
+ */
+async function runWithRetries(url, options, signal) {
+  const method = (options.method || 'GET').toUpperCase();
+  const isRead = method === 'GET' || method === 'HEAD';
+
+  for (let attempt = 0; ; attempt++) {
+    const release = await acquireSlot(signal);
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal });
+    } catch (error) {
+      release();
+      // Network errors are retried for reads, aborts never are
+      if (error.name === 'AbortError' || !isRead || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      stats.retried++;
+      await sleep(getRetryDelay(null, attempt), signal);
+      continue;
+    }
+    release();
+
+    if (!isRetryable(response, isRead) || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    if (response.status === 429) {
+      // Everyone backs off, not just this request
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    }
+    console.warn(`⏳ ${method} ${url} returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+    stats.retried++;
+    await sleep(delay, signal);
+  }
+}
+
+function getDedupeKey(url, options) {
+  const method = (options.method || 'GET').toUpperCase();
+  if ((method !== 'GET' && method !== 'HEAD') || options.body || options.dedupe === false) {
+    return null;
+  }
+  const headers = new Headers(options.headers || {});
+  return `${method} ${url} ${headers.get('Authorization') || ''} ${headers.get('Accept') || ''}`;
+}
+
+/**
+ * Stop sharing entry's request, unless a newer request has taken its place under the key
+ */
+function forget(key, entry) {
+  if (inFlight.get(key) === entry) {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Join (or start) the shared request for a dedupe key
+ * The request is only aborted once every caller sharing it has aborted
+ */
+function subscribe(key, url, options, signal) {
+  let entry = inFlight.get(key);
+  if (entry) {
+    stats.deduplicated++;
+  } else {
+    const controller = new AbortController();
+    entry = { subscribers: [], controller };
+    entry.promise = runWithRetries(url, options, controller.signal);
+    inFlight.set(key, entry);
+
+    entry.promise.then(
+      response => {
+        forget(key, entry);
+        // Hand out clones before anyone reads the body, the last caller gets the original
+        const subscribers = entry.subscribers.splice(0);
+        subscribers.forEach((subscriber, index) => {
+          subscriber.resolve(index === subscribers.length - 1 ? response : response.clone());
+        });
+      },
+      error => {
+        forget(key, entry);
+        entry.subscribers.splice(0).forEach(subscriber => subscriber.reject(error));
+      }
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const subscriber = { resolve, reject };
+    entry.subscribers.push(subscriber);
+
+    signal?.addEventListener('abort', () => {
+      const index = entry.subscribers.indexOf(subscriber);
+      if (index === -1) return;
+      entry.subscribers.splice(index, 1);
+      reject(createAbortError());
+      if (entry.subscribers.length === 0) {
+        forget(key, entry);
+        entry.controller.abort();
+      }
+    }, { once: true });
+  });
+}
+
+/**
+ * fetch() through the scheduler, same arguments and result
+ * Extra option: dedupe: false to always make a separate request
+ */
+export async function scheduledFetch(url, options = {}) {
+  const { signal, dedupe, ...fetchOptions } = options;
+  const key = getDedupeKey(url, options);
+
+  try {
+    const response = key
+      ? await subscribe(key, url, fetchOptions, signal)
+      : await runWithRetries(url, fetchOptions, signal);
+
+    if (response.ok) {
+      stats.completed++;
+    } else {
+      stats.failed++;
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      stats.aborted++;
+    } else {
+      stats.failed++;
+    }
+    throw error;
+  } finally {
+    notifyListeners();
+  }
+}
+
+/**
+ * Change how many requests may run at the same time
+ */
+export function setMaxConcurrentRequests(limit) {
+  maxConcurrent = Math.max(1, limit);
+  pump();
+}
+
+/**
+ * Current scheduler numbers (active, queued, totals since page load)
+ */
+export function getRequestStats() {
+  return {
+    ...stats,
+    active: activeCount,
+    queued: queue.length,
+    maxConcurrent,
+    paused: pausedUntil > Date.now()
+  };
+}
+
+/**
+ * Call listener with fresh stats whenever they change, returns an unsubscribe function
+ */
+export function onRequestStatsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
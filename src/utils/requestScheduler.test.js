@@ -0,0 +1,41 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { scheduledFetch } from './requestScheduler';
+
+const URL = 'https://gitea.test/api/v1/repos/associateattorney/repo/contents/';
+
+// fetch that answers once respond() is called, and fails as soon as its request is aborted
+function stubPendingFetch() {
+  const pending = [];
+  const fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException('The request was aborted', 'AbortError'));
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+    pending.push(resolve);
+  }));
+  vi.stubGlobal('fetch', fetch);
+  return { fetch, respond: () => pending.splice(0).forEach(resolve => resolve(Response.json([]))) };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('scheduledFetch', () => {
+  it('keeps sharing a request started while an aborted one was winding down', async () => {
+    const gitea = stubPendingFetch();
+
+    const controller = new AbortController();
+    const aborted = scheduledFetch(URL, { signal: controller.signal });
+    controller.abort();
+    const second = scheduledFetch(URL);
+    await expect(aborted).rejects.toThrow('aborted');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const third = scheduledFetch(URL);
+    gitea.respond();
+
+    expect((await second).ok).toBe(true);
+    expect((await third).ok).toBe(true);
+    expect(gitea.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Workspace Snapshots
+ * Point-in-time views of a workspace stored as Gitea tags
+ */
+
+import { getGiteaHeaders } from './giteaFileOperations';
+import { getRepoFullName, getDefaultBranch } from './storageConfig';
+import { scheduledFetch } from './requestScheduler';
+
+/**
+ * Turn a snapshot name into a tag name ("As filed 2025-06-20" -> "as-filed-2025-06-20")
+ */
+export function toSnapshotTag(name) {
+  return (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .replace(/\.{2,}/g, '.');
+}
+
+/**
+ * List the snapshots of a repository, newest first
+ * Gitea pages tags (50 per page unless its MAX_RESPONSE_ITEMS is raised), pages are requested until a short one
+ * Returns [{ tag, label, commitSha, createdAt }]
+ */
+export async function listSnapshots(giteaHost, giteaToken, repoName) {
+  const tags = [];
+  const perPage = 50;
+
+  for (let page = 1; ; page++) {
+    const response = await scheduledFetch(`${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/tags?limit=${perPage}&page=${page}`, {
+      method: 'GET',
+      headers: getGiteaHeaders(giteaToken)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load snapshots: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const pageTags = Array.isArray(data) ? data : [];
+    tags.push(...pageTags);
+    if (pageTags.length < perPage) break;
+  }
+
+  return tags
+    .map(tag => ({
+      tag: tag.name,
+      // The tag message keeps the name as the user typed it
+      label: (tag.message || '').split('\n')[0].trim() || tag.name,
+      commitSha: tag.commit?.sha || tag.id,
+      createdAt: tag.commit?.created || null
+    }))
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+}
+
+/**
+ * Freeze the current state of a branch as a snapshot
+ * Returns { tag, label, commitSha, createdAt }
+ */
+export async function createSnapshot(giteaHost, giteaToken, repoName, name, description = '', branch = getDefaultBranch(repoName)) {
+  const tag = toSnapshotTag(name);
+  if (!tag) {
+    throw new Error('Snapshot name cannot be empty');
+  }
+
+  const label = name.trim();
+  const response = await scheduledFetch(`${giteaHost}/api/v1/repos/${getRepoFullName(repoName)}/tags`, {
+    method: 'POST',
+    headers: getGiteaHeaders(giteaToken),
+    body: JSON.stringify({
+      tag_name: tag,
+      target: branch,
+      message: description ? `${label}\n\n${description}` : label
+    })
+  });
+
+  if (response.status === 409) {
+    throw new Error(`A snapshot named "${tag}" already exists`);
+  }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Failed to create snapshot: ${response.status} ${response.statusText}`);
+  }
+
+  const created = await response.json();
+
+  console.log(`📸 Created snapshot ${tag} of ${branch}`);
+
+  return {
+    tag: created.name || tag,
+    label,
+    commitSha: created.commit?.sha || created.id || null,
+    createdAt: created.commit?.created || new Date().toISOString()
+  };
+}
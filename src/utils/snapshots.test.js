@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { listSnapshots } from './snapshots';
+
+const HOST = 'https://gitea.test';
+const REPO = 'repo';
+
+function tag(index) {
+  return {
+    name: `snapshot-${index}`,
+    message: `Snapshot ${index}`,
+    id: `tag-${index}`,
+    commit: { sha: `c${index}`, created: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString() }
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('listSnapshots', () => {
+  it('reads every page of tags', async () => {
+    const tags = Array.from({ length: 60 }, (_, index) => tag(index));
+    const pages = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const { searchParams } = new URL(url);
+      const limit = Number(searchParams.get('limit'));
+      const page = Number(searchParams.get('page'));
+      pages.push(page);
+      return Response.json(tags.slice((page - 1) * limit, page * limit));
+    }));
+
+    const snapshots = await listSnapshots(HOST, 'token', REPO);
+
+    expect(pages).toEqual([1, 2]);
+    expect(snapshots).toHaveLength(60);
+    expect(snapshots[0]).toEqual({ tag: 'snapshot-59', label: 'Snapshot 59', commitSha: 'c59', createdAt: tags[59].commit.created });
+  });
+});
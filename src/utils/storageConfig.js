@@ -0,0 +1,63 @@
+/**
+ * Storage Configuration
+ * Where each workspace's files live: provider, Gitea owner (org) and default branch
+ * Workspaces can override the owner and branch (git_owner / git_default_branch), the rest comes from env
+ */
+
+const DEFAULT_PROVIDER = import.meta.env.VITE_STORAGE_PROVIDER || 'gitea';
+const DEFAULT_OWNER = import.meta.env.VITE_GITEA_OWNER || 'associateattorney';
+const DEFAULT_BRANCH = import.meta.env.VITE_GITEA_DEFAULT_BRANCH || 'main';
+
+// repoName -> { provider, owner, repo, defaultBranch }
+const repositories = new Map();
+
+/**
+ * Storage settings for a workspace record
+ */
+export function getStorageConfig(workspace) {
+  return {
+    provider: DEFAULT_PROVIDER,
+    owner: workspace?.git_owner || DEFAULT_OWNER,
+    repo: workspace?.git_repo || null,
+    defaultBranch: workspace?.git_default_branch || DEFAULT_BRANCH
+  };
+}
+
+/**
+ * Remember a workspace's settings so helpers that only get a repository name can look them up
+ * Records loaded without the storage columns (e.g. restored from localStorage) keep what was registered before
+ * Returns the config
+ */
+export function registerWorkspaceStorage(workspace) {
+  const config = getStorageConfig(workspace);
+  if (!config.repo) {
+    return config;
+  }
+
+  const hasStorageColumns = 'git_owner' in workspace || 'git_default_branch' in workspace;
+  if (hasStorageColumns || !repositories.has(config.repo)) {
+    repositories.set(config.repo, config);
+  }
+  return repositories.get(config.repo);
+}
+
+/**
+ * Settings for a repository name (defaults when its workspace hasn't been registered)
+ */
+export function getRepositoryConfig(repoName) {
+  return repositories.get(repoName) || { ...getStorageConfig(null), repo: repoName };
+}
+
+/**
+ * "owner/repo" as used in Gitea URLs
+ */
+export function getRepoFullName(repoName) {
+  return `${getRepositoryConfig(repoName).owner}/${repoName}`;
+}
+
+/**
+ * Branch holding a repository's live files
+ */
+export function getDefaultBranch(repoName) {
+  return getRepositoryConfig(repoName).defaultBranch;
+}
@@ -0,0 +1,67 @@
+/**
+ * Storage Providers
+ * One interface for where a workspace's files live, so components don't build Gitea URLs themselves
+ *
+ * Every provider is bound to one repository and implements:
+ *   list(folderPath, ref, options?)            -> [{ name, path, type: 'file' | 'dir', sha, size, lfs? }] ([] when missing)
+ *   listRecursive(folderPath, ref, options?)   -> [{ name, path, sha, size }] every file below the folder
+ *   listTree(commitSha, options?)              -> [{ path, type, sha, size }] every file and folder of a commit
+ *   resolveLfs(entries, ref)                   -> entries with LFS pointer files given their real size and lfs
+ *   read(path, ref)                            -> { content (base64), sha, size }
+ *   exists(path, ref)                          -> boolean
+ *   getRawUrl(path, ref, refType?)             -> URL to fetch the file's bytes (refType 'branch' | 'tag' | 'commit')
+ *   commit(changes, message, branch)           -> { commitSha, files: [{ path, sha, size }] } for [{ operation, path, content?, sha?, from_path? }]
+ *   save(path, content, expectedSha, message, branch) -> { commitSha, sha, size }, FileConflictError when stale
+ *   deletePaths(files, message, branch)        -> { commitSha, deletedPaths }
+ *   movePath(item, newPath, message, branch)   -> { commitSha, oldPath, newPath, movedFiles }
+ *   movePaths(items, destinationFolder, message, branch) -> { commitSha, moves }
+ *   copyPath(item, newPath, message, targetRepoName, branch, sourceRef) -> { commitSha, sourcePath, newPath, copiedFiles }
+ *   history(path, { page, limit, ref })        -> { commits, hasMore }
+ *   restoreVersion(path, commitSha, message, branch) -> { commitSha, sha, size }
+ *   lastEditors(folderPath, childPaths, { ref }) -> Map of path -> { name, email, date, sha }
+ *   getCommitSha(branch)                       -> sha of the branch head (null when unknown)
+ *   uploadLargeFile(file, onProgress)          -> { oid, size, pointer } commit pointer as the file's content (capabilities.lfs only)
+ *
+ * options.signal on the listing calls cancels their requests.
+ * capabilities tells the UI which Gitea-only features (drafts, snapshots, trash, lfs, liveUpdates) the provider supports.
+ * Files stored with LFS list with lfs: { oid, size } and their real size, read() and getRawUrl serve their content.
+ * listTree() is the exception, it reports pointer files as stored, resolveLfs() fills them in.
+ */
+
+import { getRepositoryConfig, registerWorkspaceStorage } from './storageConfig';
+import { createGiteaStorageProvider } from './giteaStorageProvider';
+import { createMemoryStorageProvider } from './memoryStorageProvider';
+
+const factories = {
+  gitea: createGiteaStorageProvider,
+  memory: createMemoryStorageProvider
+};
+
+// "provider:owner/repo" -> provider instance
+const providers = new Map();
+
+/**
+ * Provider for a repository (uses the settings registered for its workspace)
+ */
+export function getStorageProvider(repoName) {
+  const config = getRepositoryConfig(repoName);
+  const key = `${config.provider}:${config.owner}/${repoName}`;
+
+  if (!providers.has(key)) {
+    const factory = factories[config.provider];
+    if (!factory) {
+      throw new Error(`Unknown storage provider "${config.provider}"`);
+    }
+    providers.set(key, factory({ ...config, repo: repoName }));
+  }
+
+  return providers.get(key);
+}
+
+/**
+ * Register a workspace's storage settings and return its provider (null without a repository)
+ */
+export function configureWorkspaceStorage(workspace) {
+  const config = registerWorkspaceStorage(workspace);
+  return config.repo ? getStorageProvider(config.repo) : null;
+}
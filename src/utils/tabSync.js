@@ -0,0 +1,60 @@
+/**
+ * Tab Sync
+ * Messages between the app's open tabs (same browser, same origin) over a BroadcastChannel
+ *
+ * A tab doesn't receive its own messages. Payloads are copied with structured clone, so they have to be plain data
+ * (no Vue proxies). Without BroadcastChannel every tab works on its own like before.
+ */
+
+const CHANNEL_NAME = 'drive_sync';
+
+// Message type -> listeners
+const listeners = new Map();
+let channel;
+
+function getChannel() {
+  if (channel === undefined) {
+    channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+    if (channel) {
+      channel.onmessage = (event) => {
+        const { type, payload } = event.data || {};
+        for (const listener of listeners.get(type) || []) {
+          try {
+            listener(payload);
+          } catch (error) {
+            console.warn(`Failed to handle "${type}" from another tab:`, error);
+          }
+        }
+      };
+    }
+  }
+  return channel;
+}
+
+/**
+ * Send a message to the other tabs
+ */
+export function broadcast(type, payload) {
+  try {
+    getChannel()?.postMessage({ type, payload });
+  } catch (error) {
+    console.warn(`Failed to send "${type}" to other tabs:`, error);
+  }
+}
+
+/**
+ * Listen for a message type from other tabs, returns a function that stops listening
+ */
+export function onBroadcast(type, listener) {
+  getChannel();
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  return () => listeners.get(type).delete(listener);
+}
+
+/**
+ * Plain copy of reactive state, safe to broadcast
+ */
+export function toPlainData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,316 @@
+/**
+ * Text Diff
+ * Line and word level diffs (Myers algorithm) plus row builders for side-by-side and inline views
+ */
+
+// Past this many edits we stop searching for a minimal diff and mark the rest as replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Myers diff of two token arrays
+ * Returns [{ type: 'equal' | 'delete' | 'insert', value }]
+ */
+function diffSequences(a, b) {
+  // Trim the common prefix and suffix, most edits touch a small part of a document
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const suffix = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const middle = diffMiddle(a.slice(start, endA), b.slice(start, endB));
+
+  return [...prefix, ...middle, ...suffix];
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0) return b.map(value => ({ type: 'insert', value }));
+  if (m === 0) return a.map(value => ({ type: 'delete', value }));
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Keep only the diagonals reachable at this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too many differences for a precise diff
+  return [
+    ...a.map(value => ({ type: 'delete', value })),
+    ...b.map(value => ({ type: 'insert', value }))
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const get = (k) => v[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+function tokenizeWords(line) {
+  return line.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Line diff between two texts
+ */
+export function diffLines(oldText, newText) {
+  return diffSequences(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Word diff between two lines
+ * Returns { oldSegments, newSegments } where each segment is { text, changed }
+ */
+export function diffWords(oldLine, newLine) {
+  const ops = diffSequences(tokenizeWords(oldLine), tokenizeWords(newLine));
+  const oldSegments = [];
+  const newSegments = [];
+
+  const push = (segments, text, changed) => {
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) {
+      last.text += text;
+    } else {
+      segments.push({ text, changed });
+    }
+  };
+
+  for (const op of ops) {
+    if (op.type !== 'insert') push(oldSegments, op.value, op.type === 'delete');
+    if (op.type !== 'delete') push(newSegments, op.value, op.type === 'insert');
+  }
+
+  return { oldSegments, newSegments };
+}
+
+/**
+ * Group line ops into unchanged lines and change blocks (deleted lines followed by inserted lines)
+ */
+function groupChanges(ops) {
+  const groups = [];
+  let block = null;
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      block = null;
+      groups.push({ type: 'equal', value: op.value });
+      continue;
+    }
+    if (!block) {
+      block = { type: 'change', deleted: [], inserted: [] };
+      groups.push(block);
+    }
+    (op.type === 'delete' ? block.deleted : block.inserted).push(op.value);
+  }
+
+  return groups;
+}
+
+/**
+ * Replace long runs of unchanged rows with a single 'skip' row
+ */
+function collapseUnchanged(rows, context) {
+  if (context === null || context === undefined) return rows;
+
+  const result = [];
+  let index = 0;
+
+  while (index < rows.length) {
+    if (rows[index].type !== 'equal') {
+      result.push(rows[index]);
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < rows.length && rows[end].type === 'equal') {
+      end++;
+    }
+
+    const keepBefore = index === 0 ? 0 : context;
+    const keepAfter = end === rows.length ? 0 : context;
+    const hidden = (end - index) - keepBefore - keepAfter;
+
+    if (hidden > 1) {
+      result.push(...rows.slice(index, index + keepBefore));
+      result.push({ type: 'skip', count: hidden });
+      result.push(...rows.slice(end - keepAfter, end));
+    } else {
+      result.push(...rows.slice(index, end));
+    }
+    index = end;
+  }
+
+  return result;
+}
+
+/**
+ * Rows for a side-by-side view: { type, left, right } where each side is { number, text, segments? } or null
+ */
+export function buildSideBySideRows(ops, context = 3) {
+  const rows = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+
+  for (const group of groupChanges(ops)) {
+    if (group.type === 'equal') {
+      rows.push({
+        type: 'equal',
+        left: { number: oldNumber++, text: group.value },
+        right: { number: newNumber++, text: group.value }
+      });
+      continue;
+    }
+
+    const length = Math.max(group.deleted.length, group.inserted.length);
+    for (let i = 0; i < length; i++) {
+      const oldLine = group.deleted[i];
+      const newLine = group.inserted[i];
+      const paired = oldLine !== undefined && newLine !== undefined;
+      const words = paired ? diffWords(oldLine, newLine) : null;
+
+      rows.push({
+        type: 'change',
+        left: oldLine !== undefined
+          ? { number: oldNumber++, text: oldLine, segments: words?.oldSegments || null }
+          : null,
+        right: newLine !== undefined
+          ? { number: newNumber++, text: newLine, segments: words?.newSegments || null }
+          : null
+      });
+    }
+  }
+
+  return collapseUnchanged(rows, context);
+}
+
+/**
+ * Rows for an inline view: { type: 'equal' | 'delete' | 'insert', oldNumber, newNumber, text, segments? }
+ */
+export function buildInlineRows(ops, context = 3) {
+  const rows = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+
+  for (const group of groupChanges(ops)) {
+    if (group.type === 'equal') {
+      rows.push({ type: 'equal', oldNumber: oldNumber++, newNumber: newNumber++, text: group.value });
+      continue;
+    }
+
+    const pairedWords = group.deleted.map((line, i) => (
+      group.inserted[i] !== undefined ? diffWords(line, group.inserted[i]) : null
+    ));
+
+    group.deleted.forEach((line, i) => {
+      rows.push({ type: 'delete', oldNumber: oldNumber++, newNumber: null, text: line, segments: pairedWords[i]?.oldSegments || null });
+    });
+    group.inserted.forEach((line, i) => {
+      rows.push({ type: 'insert', oldNumber: null, newNumber: newNumber++, text: line, segments: pairedWords[i]?.newSegments || null });
+    });
+  }
+
+  return collapseUnchanged(rows, context);
+}
+
+/**
+ * Count added and removed lines
+ */
+export function getDiffStats(ops) {
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.added++;
+    if (op.type === 'delete') stats.removed++;
+    return stats;
+  }, { added: 0, removed: 0 });
+}
+
+/**
+ * Turn a stored Univer document into comparable plain text
+ */
+export function univerDocumentToText(documentContent) {
+  let doc;
+  try {
+    doc = typeof documentContent === 'string' ? JSON.parse(documentContent) : documentContent;
+  } catch (error) {
+    return documentContent || '';
+  }
+
+  if (!doc) return '';
+
+  if (typeof doc.content === 'string') {
+    return doc.title ? `${doc.title}\n\n${doc.content}` : doc.content;
+  }
+
+  // Native Univer snapshots keep paragraphs in body.dataStream separated by \r
+  if (doc.body?.dataStream) {
+    return doc.body.dataStream.replace(/\r/g, '\n').replace(/\n$/, '');
+  }
+
+  return JSON.stringify(doc, null, 2);
+}
@@ -1,15 +1,34 @@
 /**
  * Workspace Cache System
  * Implements smart caching for workspace data to improve page load performance
+ * Entries live in the shared IndexedDB cache store (see cacheStore.js) under the "workspaces" scope
  */
 
+import {
+  readCacheEntry,
+  writeCacheEntry,
+  deleteCacheEntry,
+  getCacheKeys,
+  clearCacheScopes,
+  getCacheUsage,
+  loadCacheScope,
+  migrateLegacyEntries
+} from './cacheStore';
+
 const WORKSPACE_CACHE_PREFIX = 'workspace_cache_';
 const WORKSPACE_CACHE_VERSION = '1.0';
 const WORKSPACE_CACHE_AGE = 5 * 60 * 1000; // 5 minutes (shorter than file cache)
+const WORKSPACE_CACHE_SCOPE = 'workspaces';
+
+// Entries used to be kept in localStorage, move them to IndexedDB once
+migrateLegacyEntries(WORKSPACE_CACHE_PREFIX, () => WORKSPACE_CACHE_SCOPE);
 
-// In-memory cache for ultra-fast access
-const workspaceMemoryCache = new Map();
-const userMemoryCache = new Map();
+/**
+ * Read the cached workspaces and users from IndexedDB, await before the first lookup
+ */
+export function loadWorkspaceCache() {
+  return loadCacheScope(WORKSPACE_CACHE_SCOPE);
+}
 
 /**
  * Generate cache key for user workspaces
@@ -33,26 +52,7 @@ export function getCachedWorkspaces(userId) {
   
   try {
     const cacheKey = getWorkspaceCacheKey(userId);
-    
-    // Check memory cache first (ultra-fast)
-    if (workspaceMemoryCache.has(cacheKey)) {
-      const memoryCached = workspaceMemoryCache.get(cacheKey);
-      const now = Date.now();
-      
-      // Check if memory cache is still valid
-      if (memoryCached.version === WORKSPACE_CACHE_VERSION && 
-          (now - memoryCached.timestamp) < WORKSPACE_CACHE_AGE) {
-        const duration = performance.now() - startTime;
-        console.log(`⚡ Workspace memory cache hit for user: ${userId} (${duration.toFixed(2)}ms)`);
-        return memoryCached.workspaces;
-      } else {
-        // Remove expired memory cache
-        workspaceMemoryCache.delete(cacheKey);
-      }
-    }
-    
-    // Fallback to localStorage cache
-    const cached = localStorage.getItem(cacheKey);
+    const cached = readCacheEntry(cacheKey);
     
     if (!cached) {
       const duration = performance.now() - startTime;
@@ -60,31 +60,24 @@ export function getCachedWorkspaces(userId) {
       return null;
     }
     
-    const parsedCache = JSON.parse(cached);
-    
     // Check cache version
-    if (parsedCache.version !== WORKSPACE_CACHE_VERSION) {
+    if (cached.version !== WORKSPACE_CACHE_VERSION) {
       console.log('Workspace cache version mismatch, clearing cache for user:', userId);
-      localStorage.removeItem(cacheKey);
+      deleteCacheEntry(cacheKey);
       return null;
     }
     
     // Check cache age
-    const now = Date.now();
-    if (now - parsedCache.timestamp > WORKSPACE_CACHE_AGE) {
+    if (Date.now() - cached.timestamp > WORKSPACE_CACHE_AGE) {
       console.log('Workspace cache expired for user:', userId);
-      localStorage.removeItem(cacheKey);
+      deleteCacheEntry(cacheKey);
       return null;
     }
     
-    // Store in memory cache for next access
-    workspaceMemoryCache.set(cacheKey, parsedCache);
-    
     const duration = performance.now() - startTime;
-    console.log(`💾 Workspace localStorage cache hit for user: ${userId} (${duration.toFixed(2)}ms)`);
-    console.log('📝 Cached to memory for faster next access');
+    console.log(`⚡ Workspace cache hit for user: ${userId} (${duration.toFixed(2)}ms)`);
     
-    return parsedCache.workspaces;
+    return cached.workspaces;
   } catch (error) {
     const duration = performance.now() - startTime;
     console.error(`Error reading workspace cache (${duration.toFixed(2)}ms):`, error);
@@ -107,17 +100,8 @@ export function setCachedWorkspaces(userId, workspaces) {
       workspaces: workspaces || []
     };
     
-    // Store in memory cache first for immediate access
-    workspaceMemoryCache.set(cacheKey, cacheData);
-    
-    // Store in localStorage for persistence (asynchronous to avoid blocking)
-    setTimeout(() => {
-      try {
-        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-      } catch (storageError) {
-        console.warn('localStorage workspace save failed:', storageError);
-      }
-    }, 0);
+    // Available at once, written to IndexedDB in the background
+    writeCacheEntry(cacheKey, WORKSPACE_CACHE_SCOPE, cacheData);
     
     const duration = performance.now() - startTime;
     console.log(`💾 Workspace cache saved for user: ${userId} (${duration.toFixed(2)}ms) - ${workspaces.length} workspaces`);
@@ -136,24 +120,7 @@ export function getCachedUser(userId) {
   
   try {
     const cacheKey = getUserCacheKey(userId);
-    
-    // Check memory cache first
-    if (userMemoryCache.has(cacheKey)) {
-      const memoryCached = userMemoryCache.get(cacheKey);
-      const now = Date.now();
-      
-      if (memoryCached.version === WORKSPACE_CACHE_VERSION && 
-          (now - memoryCached.timestamp) < WORKSPACE_CACHE_AGE) {
-        const duration = performance.now() - startTime;
-        console.log(`⚡ User memory cache hit: ${userId} (${duration.toFixed(2)}ms)`);
-        return memoryCached.userData;
-      } else {
-        userMemoryCache.delete(cacheKey);
-      }
-    }
-    
-    // Fallback to localStorage
-    const cached = localStorage.getItem(cacheKey);
+    const cached = readCacheEntry(cacheKey);
     
     if (!cached) {
       const duration = performance.now() - startTime;
@@ -161,23 +128,17 @@ export function getCachedUser(userId) {
       return null;
     }
     
-    const parsedCache = JSON.parse(cached);
-    
     // Check cache version and age
-    const now = Date.now();
-    if (parsedCache.version !== WORKSPACE_CACHE_VERSION || 
-        (now - parsedCache.timestamp) > WORKSPACE_CACHE_AGE) {
-      localStorage.removeItem(cacheKey);
+    if (cached.version !== WORKSPACE_CACHE_VERSION || 
+        (Date.now() - cached.timestamp) > WORKSPACE_CACHE_AGE) {
+      deleteCacheEntry(cacheKey);
       return null;
     }
     
-    // Store in memory cache
-    userMemoryCache.set(cacheKey, parsedCache);
-    
     const duration = performance.now() - startTime;
-    console.log(`💾 User localStorage cache hit: ${userId} (${duration.toFixed(2)}ms)`);
+    console.log(`⚡ User cache hit: ${userId} (${duration.toFixed(2)}ms)`);
     
-    return parsedCache.userData;
+    return cached.userData;
   } catch (error) {
     const duration = performance.now() - startTime;
     console.error(`Error reading user cache (${duration.toFixed(2)}ms):`, error);
@@ -200,17 +161,8 @@ export function setCachedUser(userId, userData) {
       userData
     };
     
-    // Store in memory cache first
-    userMemoryCache.set(cacheKey, cacheData);
-    
-    // Store in localStorage asynchronously
-    setTimeout(() => {
-      try {
-        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-      } catch (storageError) {
-        console.warn('localStorage user save failed:', storageError);
-      }
-    }, 0);
+    // Available at once, written to IndexedDB in the background
+    writeCacheEntry(cacheKey, WORKSPACE_CACHE_SCOPE, cacheData);
     
     const duration = performance.now() - startTime;
     console.log(`💾 User cache saved: ${userId} (${duration.toFixed(2)}ms)`);
@@ -228,16 +180,8 @@ export function clearWorkspaceCache(userId) {
   const startTime = performance.now();
   
   try {
-    const workspaceCacheKey = getWorkspaceCacheKey(userId);
-    const userCacheKey = getUserCacheKey(userId);
-    
-    // Clear memory cache
-    workspaceMemoryCache.delete(workspaceCacheKey);
-    userMemoryCache.delete(userCacheKey);
-    
-    // Clear localStorage cache
-    localStorage.removeItem(workspaceCacheKey);
-    localStorage.removeItem(userCacheKey);
+    deleteCacheEntry(getWorkspaceCacheKey(userId));
+    deleteCacheEntry(getUserCacheKey(userId));
     
     const duration = performance.now() - startTime;
     console.log(`🗑️ Cleared workspace cache for user: ${userId} (${duration.toFixed(2)}ms)`);
@@ -254,17 +198,8 @@ export function clearAllWorkspaceCaches() {
   const startTime = performance.now();
   
   try {
-    // Clear memory caches
-    workspaceMemoryCache.clear();
-    userMemoryCache.clear();
-    
-    // Clear localStorage caches
-    const keys = Object.keys(localStorage);
-    const cacheKeys = keys.filter(key => key.startsWith(WORKSPACE_CACHE_PREFIX));
-    
-    cacheKeys.forEach(key => {
-      localStorage.removeItem(key);
-    });
+    const cacheKeys = getCacheKeys(WORKSPACE_CACHE_SCOPE);
+    clearCacheScopes(scope => scope === WORKSPACE_CACHE_SCOPE);
     
     const duration = performance.now() - startTime;
     console.log(`🗑️ Cleared all workspace caches (${duration.toFixed(2)}ms) - ${cacheKeys.length} entries`);
@@ -279,43 +214,19 @@ export function clearAllWorkspaceCaches() {
  */
 export function getWorkspaceCacheStats() {
   try {
-    const keys = Object.keys(localStorage);
-    const cacheKeys = keys.filter(key => key.startsWith(WORKSPACE_CACHE_PREFIX));
-    
-    let totalSize = 0;
-    let users = new Set();
-    
-    cacheKeys.forEach(key => {
-      const value = localStorage.getItem(key);
-      if (value) {
-        totalSize += value.length;
-        
-        // Extract user ID from key
-        const match = key.match(new RegExp(`^${WORKSPACE_CACHE_PREFIX}user_(.+)$`));
-        if (match) {
-          users.add(match[1]);
-        }
-      }
-    });
-    
-    // Add memory cache stats
-    let memoryCacheSize = 0;
-    for (const [key, value] of workspaceMemoryCache.entries()) {
-      memoryCacheSize += JSON.stringify(value).length;
-    }
-    
-    for (const [key, value] of userMemoryCache.entries()) {
-      memoryCacheSize += JSON.stringify(value).length;
-    }
+    const usage = getCacheUsage(record => record.scope === WORKSPACE_CACHE_SCOPE);
+    const cacheKeys = getCacheKeys(WORKSPACE_CACHE_SCOPE);
+    const userKeyPrefix = `${WORKSPACE_CACHE_PREFIX}user_`;
+    const workspaceEntries = cacheKeys.filter(key => key.startsWith(userKeyPrefix));
     
     return {
-      totalEntries: cacheKeys.length,
-      totalSize,
-      users: Array.from(users),
-      memoryEntries: workspaceMemoryCache.size + userMemoryCache.size,
-      memoryCacheSize,
-      workspaceMemoryEntries: workspaceMemoryCache.size,
-      userMemoryEntries: userMemoryCache.size
+      totalEntries: usage.totalEntries,
+      totalSize: usage.totalSize,
+      users: workspaceEntries.map(key => key.substring(userKeyPrefix.length)),
+      memoryEntries: usage.memoryEntries,
+      memoryCacheSize: usage.memorySize,
+      workspaceMemoryEntries: workspaceEntries.length,
+      userMemoryEntries: cacheKeys.length - workspaceEntries.length
     };
   } catch (error) {
     console.error('Error getting workspace cache stats:', error);
@@ -336,14 +247,11 @@ export function getWorkspaceCacheStats() {
  */
 export function shouldRefreshWorkspaceCache(userId, lastKnownActivity) {
   try {
-    const cacheKey = getWorkspaceCacheKey(userId);
+    const cached = readCacheEntry(getWorkspaceCacheKey(userId));
     
-    // Check memory cache first
-    if (workspaceMemoryCache.has(cacheKey)) {
-      const memoryCached = workspaceMemoryCache.get(cacheKey);
-      
+    if (cached) {
       // If we have recent activity timestamp and it's newer than cache, refresh
-      if (lastKnownActivity && memoryCached.timestamp < new Date(lastKnownActivity).getTime()) {
+      if (lastKnownActivity && cached.timestamp < new Date(lastKnownActivity).getTime()) {
         console.log('🔄 Workspace cache refresh needed due to recent activity');
         return true;
       }
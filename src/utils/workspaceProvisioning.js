@@ -0,0 +1,150 @@
+/**
+ * Workspace Provisioning
+ * Set up the repository of a workspace that doesn't have one yet: create it, link it and seed its folders
+ */
+
+import { supabase } from '@aiworkspace/shared-header';
+import { createRepository } from './repositoryCache';
+import { getStorageConfig, registerWorkspaceStorage } from './storageConfig';
+import { getStorageProvider } from './storageProviders';
+import { getGiteaToken } from './giteaSession';
+import { encodeBase64Text } from './giteaFileOperations';
+import { FOLDER_PLACEHOLDER } from './dropEntries';
+
+// Folder structures offered when a workspace is set up
+export const WORKSPACE_TEMPLATES = [
+  {
+    id: 'empty',
+    name: 'Empty workspace',
+    description: 'Start without folders and organize files as you go',
+    folders: []
+  },
+  {
+    id: 'family-law',
+    name: 'Family law matter',
+    description: 'Divorce, custody and support matters',
+    folders: ['Pleadings', 'Discovery', 'Correspondence', 'Exhibits', 'Financial Disclosures', 'Court Orders']
+  },
+  {
+    id: 'civil-litigation',
+    name: 'Civil litigation',
+    description: 'Lawsuits from complaint through trial',
+    folders: ['Pleadings', 'Motions', 'Discovery/Requests', 'Discovery/Responses', 'Depositions', 'Correspondence', 'Exhibits', 'Trial']
+  },
+  {
+    id: 'transaction',
+    name: 'Transaction',
+    description: 'Contracts, deals and closings',
+    folders: ['Drafts', 'Executed', 'Due Diligence', 'Correspondence', 'Closing']
+  },
+  {
+    id: 'general',
+    name: 'General matter',
+    description: 'A simple structure for anything else',
+    folders: ['Documents', 'Correspondence', 'Notes']
+  }
+];
+
+/**
+ * Repository name for a workspace ("workspace-12-smith-v-smith")
+ */
+export function suggestRepoName(workspace) {
+  const slug = (workspace?.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `workspace-${workspace.id}${slug ? `-${slug}` : ''}`.substring(0, 100).replace(/-+$/, '');
+}
+
+/**
+ * Gitea accepts letters, digits, dots, dashes and underscores (up to 100 characters)
+ */
+export function isValidRepoName(name) {
+  return /^[A-Za-z0-9._-]{1,100}$/.test(name) && !/\.(git|wiki)$/i.test(name) && !/^\.+$/.test(name);
+}
+
+/**
+ * Changes creating a template's folders (and any files it brings)
+ * template is { folders: ['A', 'A/B'], files?: [{ path, content }] }
+ */
+export function buildTemplateChanges(template) {
+  const files = template.files || [];
+  const placeholders = new Set();
+
+  for (const folder of template.folders || []) {
+    const hasContent = files.some(file => file.path.startsWith(`${folder}/`))
+      || template.folders.some(other => other.startsWith(`${folder}/`));
+    if (!hasContent) {
+      placeholders.add(`${folder}/${FOLDER_PLACEHOLDER}`);
+    }
+  }
+
+  return [
+    ...[...placeholders].map(path => ({ operation: 'create', path, content: '' })),
+    ...files.map(file => ({ operation: 'create', path: file.path, content: encodeBase64Text(file.content || '') }))
+  ];
+}
+
+/**
+ * Create, link and seed a workspace's repository
+ * onStep(step, status) reports progress, step is 'repository' | 'link' | 'folders', status 'active' | 'done'
+ * skipSteps lets a retry continue after the steps that already succeeded
+ * Returns the repository name
+ */
+export async function provisionWorkspace(workspace, { repoName, template, onStep = () => {}, skipSteps = [] }) {
+  if (!isValidRepoName(repoName)) {
+    throw new Error('Repository names can only contain letters, digits, dots, dashes and underscores');
+  }
+
+  const linkedWorkspace = { ...workspace, git_repo: repoName };
+  const config = registerWorkspaceStorage(linkedWorkspace);
+
+  if (!skipSteps.includes('repository')) {
+    onStep('repository', 'active');
+    // The in-memory provider has nothing to create
+    if (config.provider === 'gitea') {
+      const created = await createRepository(
+        import.meta.env.VITE_GITEA_HOST,
+        getGiteaToken(),
+        repoName,
+        `Files of ${workspace.title}`,
+        { workspaceId: workspace.id }
+      );
+      if (!created) {
+        throw new Error(`A repository named "${repoName}" already exists, choose another name`);
+      }
+    }
+    onStep('repository', 'done');
+  }
+
+  // Link before seeding, the Gitea proxy grants access through the workspace's git_repo
+  if (!skipSteps.includes('link')) {
+    onStep('link', 'active');
+    const { data, error } = await supabase
+      .from('workspaces')
+      .update({ git_repo: repoName })
+      .eq('id', workspace.id)
+      .is('git_repo', null)
+      .select('id');
+    if (error) {
+      throw new Error(`Could not link the repository to the workspace: ${error.message}`);
+    }
+    if (!data?.length) {
+      throw new Error('This workspace has already been set up, reload the page');
+    }
+    onStep('link', 'done');
+  }
+
+  if (!skipSteps.includes('folders')) {
+    onStep('folders', 'active');
+    const changes = buildTemplateChanges(template);
+    if (changes.length > 0) {
+      const storage = getStorageProvider(repoName);
+      await storage.commit(changes, `Set up workspace from the "${template.name}" template`, getStorageConfig(linkedWorkspace).defaultBranch);
+    }
+    onStep('folders', 'done');
+  }
+
+  console.log(`🏗️ Provisioned ${repoName} for workspace ${workspace.id} (${template.name})`);
+  return repoName;
+}
@@ -161,4 +161,12 @@ DROP INDEX IF EXISTS workspaces_archived_idx;
 DROP INDEX IF EXISTS workspaces_archived_by_idx;
 
 CREATE INDEX workspaces_archived_idx ON workspaces USING btree (archived);
-CREATE INDEX workspaces_archived_by_idx ON workspaces USING btree (archived_by);
\ No newline at end of file
+CREATE INDEX workspaces_archived_by_idx ON workspaces USING btree (archived_by);
+-- Per-workspace storage location (NULL uses the client defaults, VITE_GITEA_OWNER and VITE_GITEA_DEFAULT_BRANCH)
+ALTER TABLE workspaces
+  ADD COLUMN git_owner character varying NULL,
+  ADD COLUMN git_default_branch character varying NULL;
+
+COMMENT ON COLUMN workspaces.git_owner IS 'Gitea organization that owns git_repo, NULL for the default organization. See STORAGE_PROVIDERS.md';
+
+COMMENT ON COLUMN workspaces.git_default_branch IS 'Branch of git_repo holding the live files, NULL for the default branch. Drafts are merged into it and snapshots are taken from it';
@@ -37,6 +37,14 @@ export default defineConfig({
     headers: {
       'Cross-Origin-Embedder-Policy': 'require-corp',
       'Cross-Origin-Opener-Policy': 'same-origin'
+    },
+    // Local Gitea proxy (npm run proxy), use VITE_GITEA_HOST=/gitea in development
+    proxy: {
+      '/gitea': {
+        target: process.env.GITEA_PROXY_URL || 'http://localhost:3001',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/gitea/, '')
+      }
     }
   },
   optimizeDeps: {